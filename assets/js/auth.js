@@ -0,0 +1,253 @@
+/**
+ * Login - Optional OpenID Connect login for protected SPARQL endpoints
+ * Authorization code flow with PKCE against CONFIG.OIDC_ISSUER, for a public
+ * client (no secret). The provider redirects back to the landing page, which
+ * exchanges the code and returns to the page the login started from. The
+ * access token is kept in sessionStorage, renewed with the refresh token when
+ * the provider issues one, and sent with every SPARQL query (sparql-client.js).
+ */
+
+// sessionStorage keys: the tokens, and the state of a login in progress
+const AUTH_TOKEN_KEY = 'dereferencer.auth.token';
+const AUTH_LOGIN_KEY = 'dereferencer.auth.login';
+
+// Seconds before expiry at which an access token is renewed
+const AUTH_EXPIRY_MARGIN = 30;
+
+function base64url(bytes) {
+    return btoa(String.fromCharCode.apply(null, new Uint8Array(bytes)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function randomToken() {
+    return base64url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+class OIDCLogin {
+    /**
+     * @param {string} issuer   - Issuer URL; empty disables the login
+     * @param {string} clientId - Client ID registered with the provider
+     * @param {string} scope    - Space-separated scopes to request
+     */
+    constructor(issuer, clientId, scope) {
+        this.issuer = (issuer || '').replace(/\/$/, '');
+        this.clientId = clientId;
+        this.scope = scope || 'openid';
+        this.discovery = null;
+        this.refreshing = null;
+    }
+
+    get enabled() {
+        return Boolean(this.issuer && this.clientId);
+    }
+
+    get redirectURI() {
+        return window.location.origin + '/';
+    }
+
+    /**
+     * Provider metadata from its discovery document
+     */
+    metadata() {
+        if (!this.discovery) {
+            this.discovery = fetch(`${this.issuer}/.well-known/openid-configuration`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`No OpenID configuration at ${this.issuer} (HTTP ${response.status})`);
+                    return response.json();
+                });
+            this.discovery.catch(() => { this.discovery = null; });
+        }
+        return this.discovery;
+    }
+
+    /**
+     * Send the user to the provider's login page
+     */
+    async login() {
+        const provider = await this.metadata();
+        const verifier = randomToken();
+        const state = randomToken();
+        const challenge = base64url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+
+        sessionStorage.setItem(AUTH_LOGIN_KEY, JSON.stringify({
+            state,
+            verifier,
+            returnTo: window.location.pathname + window.location.search + window.location.hash
+        }));
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectURI,
+            scope: this.scope,
+            state,
+            code_challenge: challenge,
+            code_challenge_method: 'S256'
+        });
+        window.location.assign(`${provider.authorization_endpoint}?${params}`);
+    }
+
+    /**
+     * Finish a login when the provider has redirected back. Returns true
+     * when the page is navigating back to where the login started; throws
+     * when the provider refused the login.
+     */
+    async handleCallback() {
+        const params = new URLSearchParams(window.location.search);
+        if (!this.enabled || window.location.pathname !== '/' || !params.has('state')) return false;
+
+        const pending = JSON.parse(sessionStorage.getItem(AUTH_LOGIN_KEY) || 'null');
+        if (!pending || pending.state !== params.get('state')) return false;
+        sessionStorage.removeItem(AUTH_LOGIN_KEY);
+        window.history.replaceState(null, '', '/');
+
+        if (!params.has('code')) {
+            throw new Error(params.get('error_description') || params.get('error') || 'The identity provider returned no code.');
+        }
+        await this.requestToken({
+            grant_type: 'authorization_code',
+            code: params.get('code'),
+            redirect_uri: this.redirectURI,
+            code_verifier: pending.verifier
+        });
+        // Responses cached without the login may hide what it gives access to
+        await sparqlCache.clear();
+        window.location.replace(pending.returnTo);
+        return true;
+    }
+
+    /**
+     * Call the token endpoint and store the tokens it returns
+     */
+    async requestToken(grant) {
+        const provider = await this.metadata();
+        const response = await fetch(provider.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ ...grant, client_id: this.clientId })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.access_token) {
+            throw new Error(data.error_description || data.error || `Token request failed (HTTP ${response.status})`);
+        }
+
+        const previous = this.stored() || {};
+        sessionStorage.setItem(AUTH_TOKEN_KEY, JSON.stringify({
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token || previous.refreshToken || null,
+            idToken: data.id_token || previous.idToken || null,
+            expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null
+        }));
+    }
+
+    stored() {
+        try {
+            return JSON.parse(sessionStorage.getItem(AUTH_TOKEN_KEY) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Current access token, renewed when it is about to expire; null when
+     * not logged in
+     */
+    async accessToken() {
+        const token = this.enabled ? this.stored() : null;
+        if (!token) return null;
+        if (!token.expiresAt || Date.now() < token.expiresAt - AUTH_EXPIRY_MARGIN * 1000) {
+            return token.accessToken;
+        }
+        if (!token.refreshToken) {
+            sessionStorage.removeItem(AUTH_TOKEN_KEY);
+            return null;
+        }
+
+        // Queries running side by side share one renewal
+        if (!this.refreshing) {
+            this.refreshing = this.requestToken({ grant_type: 'refresh_token', refresh_token: token.refreshToken })
+                .catch(error => {
+                    console.warn('Could not renew the login:', error);
+                    sessionStorage.removeItem(AUTH_TOKEN_KEY);
+                })
+                .finally(() => { this.refreshing = null; });
+        }
+        await this.refreshing;
+        const renewed = this.stored();
+        return renewed ? renewed.accessToken : null;
+    }
+
+    /**
+     * Name of the logged-in user from the ID token, or null
+     */
+    userName() {
+        const token = this.stored();
+        if (!token || !token.idToken) return token ? 'Logged in' : null;
+        try {
+            const payload = token.idToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), c => c.charCodeAt(0))));
+            return claims.preferred_username || claims.name || claims.email || claims.sub || 'Logged in';
+        } catch (error) {
+            return 'Logged in';
+        }
+    }
+
+    /**
+     * Forget the tokens and end the session at the provider when it supports that
+     */
+    async logout() {
+        const token = this.stored();
+        sessionStorage.removeItem(AUTH_TOKEN_KEY);
+        // Nothing the login gave access to stays in the browser
+        try {
+            await sparqlCache.clear();
+        } catch (error) {
+            console.warn('Could not clear the response cache:', error);
+        }
+
+        let provider = null;
+        try {
+            provider = await this.metadata();
+        } catch (error) {
+            console.warn('Could not end the session at the identity provider:', error);
+        }
+        if (provider && provider.end_session_endpoint) {
+            const params = new URLSearchParams({ client_id: this.clientId, post_logout_redirect_uri: this.redirectURI });
+            if (token && token.idToken) params.set('id_token_hint', token.idToken);
+            window.location.assign(`${provider.end_session_endpoint}?${params}`);
+        } else {
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Show the login/logout button when a provider is configured
+     */
+    setupButton() {
+        if (!this.enabled) return;
+
+        const user = document.getElementById('auth-user');
+        const button = document.getElementById('auth-button');
+        const name = this.userName();
+
+        user.textContent = name || '';
+        button.innerHTML = name
+            ? '<i class="bi bi-box-arrow-right"></i> Log out'
+            : '<i class="bi bi-box-arrow-in-right"></i> Log in';
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await (this.stored() ? this.logout() : this.login());
+            } catch (error) {
+                console.error('Login failed:', error);
+                user.textContent = `Login unavailable: ${error.message}`;
+                button.disabled = false;
+            }
+        });
+        document.getElementById('auth').style.display = 'block';
+    }
+}
+
+const auth = new OIDCLogin(CONFIG.OIDC_ISSUER, CONFIG.OIDC_CLIENT_ID, CONFIG.OIDC_SCOPE);
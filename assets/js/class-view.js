@@ -0,0 +1,388 @@
+/**
+ * Class View - Extra section shown when the resource is a class
+ * Instance count, paged and sortable instance table, subclass/superclass
+ * tree and a summary of the properties instances actually use.
+ */
+
+// Types that mark a resource as a class
+const CLASS_TYPES = [
+    'http://www.w3.org/2002/07/owl#Class',
+    'http://www.w3.org/2000/01/rdf-schema#Class'
+];
+
+// Number of instances per page in the class instance table
+const CLASS_PAGE_SIZE = 50;
+
+// Number of property columns shown in the instance table by default
+const CLASS_DEFAULT_COLUMNS = 3;
+
+class ClassView {
+    /**
+     * @param {URIDereferencer} dereferencer - App instance providing query and display helpers
+     * @param {string}          classURI     - IRI of the class being shown
+     */
+    constructor(dereferencer, classURI) {
+        this.app = dereferencer;
+        this.classURI = classURI;
+        this.total = 0;
+        this.page = 1;
+        // Number of the latest instance page request; answers to earlier
+        // ones (an older page or sort order) are dropped
+        this.request = 0;
+        this.sortKey = 'label';
+        this.sortDescending = false;
+        this.usage = [];
+        this.columns = [];
+    }
+
+    /**
+     * Load and render the class view
+     */
+    async init() {
+        const section = document.getElementById('class-view');
+
+        try {
+            const [total, usage] = await Promise.all([
+                this.loadInstanceCount(),
+                this.loadPropertyUsage()
+            ]);
+            this.total = total;
+            this.usage = usage;
+
+            // Default columns: the most used properties, except type and labels
+            const skipped = [NS.RDF + 'type', ...CONFIG.LABEL_PROPERTIES];
+            this.columns = usage
+                .map(u => u.property)
+                .filter(p => !skipped.includes(p))
+                .slice(0, CLASS_DEFAULT_COLUMNS);
+
+            await this.app.loadLabels(usage.map(u => u.property));
+            if (!this.isShown()) return;
+
+            document.getElementById('class-view-count').textContent =
+                `${total.toLocaleString()} instance${total === 1 ? '' : 's'}`;
+            section.style.display = 'block';
+
+            this.renderPropertyUsage();
+            await Promise.all([
+                this.loadHierarchy(),
+                this.loadInstancePage()
+            ]);
+        } catch (error) {
+            console.error('Error loading class view:', error);
+        }
+    }
+
+    /**
+     * Whether the class is still the resource on screen; results arriving
+     * after another resource was opened are dropped
+     */
+    isShown() {
+        return this.app.resourceURI === this.classURI;
+    }
+
+    /**
+     * Count the instances of the class
+     */
+    async loadInstanceCount() {
+        const countQuery = `
+            SELECT (COUNT(DISTINCT ?instance) AS ?count) WHERE {
+                ?instance a ${sparqlIRI(this.classURI)} .
+            }
+        `;
+        const bindings = await this.app.executeSelectQuery(countQuery);
+        return bindings.length > 0 ? parseInt(bindings[0].count.value, 10) : 0;
+    }
+
+    /**
+     * Count, for every property, how many instances use it
+     */
+    async loadPropertyUsage() {
+        const usageQuery = `
+            SELECT ?property (COUNT(DISTINCT ?instance) AS ?count) WHERE {
+                ?instance a ${sparqlIRI(this.classURI)} ;
+                          ?property ?value .
+            }
+            GROUP BY ?property
+            ORDER BY DESC(?count)
+        `;
+        const bindings = await this.app.executeSelectQuery(usageQuery);
+        // Properties that cannot be written into a query are not offered as columns
+        return bindings.filter(b => isValidIRI(b.property.value)).map(b => ({
+            property: b.property.value,
+            count: parseInt(b.count.value, 10)
+        }));
+    }
+
+    /**
+     * Render the property usage table; the checkbox puts a property in the
+     * instance table as a column
+     */
+    renderPropertyUsage() {
+        const tbody = document.getElementById('class-view-usage-tbody');
+        tbody.innerHTML = '';
+
+        this.usage.forEach(({ property, count }) => {
+            const row = document.createElement('tr');
+
+            const columnCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input';
+            checkbox.title = 'Show as column';
+            checkbox.checked = this.columns.includes(property);
+            checkbox.addEventListener('change', () => {
+                this.columns = checkbox.checked
+                    ? [...this.columns, property]
+                    : this.columns.filter(p => p !== property);
+                if (this.sortKey === property && !checkbox.checked) {
+                    this.sortKey = 'label';
+                }
+                this.loadInstancePage();
+            });
+            columnCell.appendChild(checkbox);
+            row.appendChild(columnCell);
+
+            const propCell = document.createElement('td');
+            propCell.appendChild(this.app.formatURI(property));
+            row.appendChild(propCell);
+
+            const countCell = document.createElement('td');
+            countCell.className = 'text-end';
+            const share = this.total > 0 ? Math.round(100 * count / this.total) : 0;
+            countCell.textContent = `${count.toLocaleString()} (${share}%)`;
+            row.appendChild(countCell);
+
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Load superclasses and subclasses and render them as trees
+     */
+    async loadHierarchy() {
+        const superQuery = `
+            SELECT DISTINCT ?class ?parent WHERE {
+                ${sparqlIRI(this.classURI)} <${NS.RDFS}subClassOf>* ?class .
+                ?class <${NS.RDFS}subClassOf> ?parent .
+                FILTER(isIRI(?parent) && ?parent != ?class)
+            }
+        `;
+        const subQuery = `
+            SELECT DISTINCT ?class ?child WHERE {
+                ?child <${NS.RDFS}subClassOf>+ ${sparqlIRI(this.classURI)} ;
+                       <${NS.RDFS}subClassOf> ?class .
+                FILTER(isIRI(?child) && ?child != ?class)
+            }
+        `;
+
+        try {
+            const [superBindings, subBindings] = await Promise.all([
+                this.app.executeSelectQuery(superQuery),
+                this.app.executeSelectQuery(subQuery)
+            ]);
+
+            const parents = this.buildEdgeMap(superBindings, 'class', 'parent');
+            const children = this.buildEdgeMap(subBindings, 'class', 'child');
+
+            const related = [...parents.values(), ...children.values()].flat();
+            await this.app.loadLabels(related);
+            if (!this.isShown()) return;
+
+            this.renderTree('class-view-superclasses', parents);
+            this.renderTree('class-view-subclasses', children);
+        } catch (error) {
+            console.error('Error loading class hierarchy:', error);
+        }
+    }
+
+    /**
+     * Turn (from, to) bindings into a Map of from → [to]
+     */
+    buildEdgeMap(bindings, fromVar, toVar) {
+        const edges = new Map();
+        bindings.forEach(b => {
+            const from = b[fromVar].value;
+            if (!edges.has(from)) edges.set(from, []);
+            if (!edges.get(from).includes(b[toVar].value)) {
+                edges.get(from).push(b[toVar].value);
+            }
+        });
+        return edges;
+    }
+
+    /**
+     * Render a class tree below the current class; repeated classes
+     * (multiple inheritance, cycles) are not expanded twice on one branch
+     */
+    renderTree(containerId, edges) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+
+        const roots = edges.get(this.classURI) || [];
+        if (roots.length === 0) {
+            container.innerHTML = '<span class="text-muted small">None</span>';
+            return;
+        }
+
+        const buildList = (uris, ancestors) => {
+            const list = document.createElement('ul');
+            list.className = 'class-tree';
+            uris
+                .slice()
+                .sort((a, b) => this.app.displayName(a).localeCompare(this.app.displayName(b)))
+                .forEach(uri => {
+                    const item = document.createElement('li');
+                    item.appendChild(this.app.formatValue(N3.DataFactory.namedNode(uri)));
+                    const next = (edges.get(uri) || []).filter(u => !ancestors.has(u));
+                    if (next.length > 0) {
+                        item.appendChild(buildList(next, new Set(ancestors).add(uri)));
+                    }
+                    list.appendChild(item);
+                });
+            return list;
+        };
+
+        container.appendChild(buildList(roots, new Set([this.classURI])));
+    }
+
+    /**
+     * Load and render the current page of instances, sorted server-side
+     */
+    async loadInstancePage() {
+        const request = ++this.request;
+        const tbody = document.getElementById('class-view-tbody');
+        const labelProperties = sparqlIRIs(CONFIG.LABEL_PROPERTIES);
+
+        const columnVars = this.columns.map((_, i) => `?c${i}`);
+        const sortVar = this.sortKey === 'label'
+            ? '?label'
+            : columnVars[this.columns.indexOf(this.sortKey)];
+        const direction = this.sortDescending ? 'DESC' : 'ASC';
+
+        const instanceQuery = `
+            SELECT ?instance (SAMPLE(?l) AS ?label) ${columnVars.map((v, i) => `(SAMPLE(?v${i}) AS ${v})`).join(' ')} WHERE {
+                ?instance a ${sparqlIRI(this.classURI)} .
+                OPTIONAL {
+                    VALUES ?labelProperty { ${labelProperties} }
+                    ?instance ?labelProperty ?l .
+                }
+                ${this.columns.map((p, i) => `OPTIONAL { ?instance ${sparqlIRI(p)} ?v${i} . }`).join('\n')}
+            }
+            GROUP BY ?instance
+            ORDER BY ${direction}(${sortVar}) ?instance
+            LIMIT ${CLASS_PAGE_SIZE}
+            OFFSET ${(this.page - 1) * CLASS_PAGE_SIZE}
+        `;
+
+        this.renderInstanceHeader();
+        tbody.innerHTML = `<tr><td colspan="${this.columns.length + 1}" class="text-muted">Loading...</td></tr>`;
+
+        try {
+            const bindings = await this.app.executeSelectQuery(instanceQuery);
+            const rows = bindings.map(b => ({
+                instance: termFromBinding(b.instance),
+                values: columnVars.map(v => b[v.substring(1)] ? termFromBinding(b[v.substring(1)]) : null)
+            }));
+
+            const iris = [];
+            rows.forEach(row => {
+                [row.instance, ...row.values].forEach(term => {
+                    if (term && term.termType === 'NamedNode') iris.push(term.value);
+                });
+            });
+            await this.app.loadLabels(iris);
+            if (request !== this.request || !this.isShown()) return;
+
+            tbody.innerHTML = '';
+            rows.forEach(row => {
+                const tr = document.createElement('tr');
+                [row.instance, ...row.values].forEach(term => {
+                    const cell = document.createElement('td');
+                    if (term) {
+                        cell.appendChild(this.app.formatValue(term));
+                    }
+                    tr.appendChild(cell);
+                });
+                tbody.appendChild(tr);
+            });
+
+            this.renderPager();
+        } catch (error) {
+            if (request !== this.request || !this.isShown()) return;
+            console.error('Error loading class instances:', error);
+            tbody.innerHTML = '';
+            const tr = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = this.columns.length + 1;
+            cell.className = 'text-danger';
+            cell.textContent = `Could not load instances: ${error.message}`;
+            tr.appendChild(cell);
+            tbody.appendChild(tr);
+        }
+    }
+
+    /**
+     * Render sortable column headers for the instance table
+     */
+    renderInstanceHeader() {
+        const headRow = document.getElementById('class-view-head');
+        headRow.innerHTML = '';
+
+        const addHeader = (key, text, title) => {
+            const th = document.createElement('th');
+            th.className = 'sortable';
+            th.title = title;
+            th.textContent = text;
+            if (this.sortKey === key) {
+                const icon = document.createElement('i');
+                icon.className = `bi bi-caret-${this.sortDescending ? 'down' : 'up'}-fill ms-1`;
+                th.appendChild(icon);
+            }
+            th.addEventListener('click', () => {
+                this.sortDescending = this.sortKey === key ? !this.sortDescending : false;
+                this.sortKey = key;
+                this.page = 1;
+                this.loadInstancePage();
+            });
+            headRow.appendChild(th);
+        };
+
+        addHeader('label', 'Instance', 'Sort by label');
+        this.columns.forEach(property => {
+            addHeader(property, this.app.displayName(property), property);
+        });
+    }
+
+    /**
+     * Render previous/next buttons for the instance table
+     */
+    renderPager() {
+        const pager = document.getElementById('class-view-pager');
+        pager.innerHTML = '';
+
+        const pageCount = Math.max(Math.ceil(this.total / CLASS_PAGE_SIZE), 1);
+        const first = this.total === 0 ? 0 : (this.page - 1) * CLASS_PAGE_SIZE + 1;
+        const last = Math.min(this.page * CLASS_PAGE_SIZE, this.total);
+
+        const makeButton = (targetPage, html, disabled) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-sm btn-outline-secondary';
+            button.innerHTML = html;
+            button.disabled = disabled;
+            button.addEventListener('click', () => {
+                this.page = targetPage;
+                this.loadInstancePage();
+            });
+            return button;
+        };
+
+        const status = document.createElement('span');
+        status.className = 'small text-muted';
+        status.textContent = `${first.toLocaleString()}–${last.toLocaleString()} of ${this.total.toLocaleString()}`;
+
+        pager.appendChild(makeButton(this.page - 1, '<i class="bi bi-chevron-left"></i>', this.page <= 1));
+        pager.appendChild(status);
+        pager.appendChild(makeButton(this.page + 1, '<i class="bi bi-chevron-right"></i>', this.page >= pageCount));
+    }
+}
@@ -2,5 +2,35 @@
 const CONFIG = {
     SPARQL_ENDPOINT: 'https://jena.matdata.eu/rinf/sparql',
     ENTITY_NS: 'https://data.matdata.eu',
+    DATASETS: [],
+    SPARQL_TIMEOUT: 30,
+    SPARQL_PROXY: false,
+    OIDC_ISSUER: '',
+    OIDC_CLIENT_ID: '',
+    OIDC_SCOPE: 'openid',
+    CACHE_TTL: { describe: 300, select: 300, ask: 3600 },
+    CACHE_MAX_SIZE: 50,
+    LABEL_PROPERTIES: [
+        'http://www.w3.org/2000/01/rdf-schema#label',
+        'http://www.w3.org/2004/02/skos/core#prefLabel',
+        'http://schema.org/name'
+    ],
+    SEARCH_MODE: 'contains',
+    NAMED_GRAPHS: false,
+    BASE_LAYERS: [
+        {
+            name: 'OpenStreetMap',
+            url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+            maxZoom: 19
+        }
+    ],
+    MAP_CENTER: [50.8503, 4.3517],
+    MAP_ZOOM: 13,
+    NEARBY_MODE: 'auto',
+    CRS_REGISTRY: '/assets/data/crs.json',
+    CRS_LOOKUP_URL: '',
+    PATH_MAX_HOPS: 4,
+    PATH_TIMEOUT: 30,
     BASE_URI: window.location.origin
 };
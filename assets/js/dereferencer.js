@@ -9,10 +9,71 @@ const NS = {
     RDFS: 'http://www.w3.org/2000/01/rdf-schema#',
     OWL: 'http://www.w3.org/2002/07/owl#',
     XSD: 'http://www.w3.org/2001/XMLSchema#',
+    SH: 'http://www.w3.org/ns/shacl#',
+    QUDT: 'http://qudt.org/schema/qudt/',
     GSP: 'http://www.opengis.net/ont/geosparql#',
     GEO: 'http://www.w3.org/2003/01/geo/wgs84_pos#'
 };
 
+// Number of referring resources fetched per "Referenced By" page
+const INCOMING_PAGE_SIZE = 50;
+
+// Number of related resources fetched per "See Also" page
+const SEE_ALSO_PAGE_SIZE = 10;
+
+// Types too generic to relate resources by
+const GENERIC_TYPES = [
+    'http://www.w3.org/2002/07/owl#NamedIndividual',
+    'http://www.w3.org/2002/07/owl#Thing',
+    'http://www.w3.org/2000/01/rdf-schema#Resource'
+];
+
+// Geometry serializations, in order of preference when a geometry has several
+const GEOMETRY_LITERALS = [
+    [NS.GSP + 'asWKT', 'wkt'],
+    [NS.GSP + 'asGeoJSON', 'geojson'],
+    [NS.GSP + 'asGML', 'gml']
+];
+
+const GEOMETRY_FORMAT_LABELS = { wkt: 'WKT', geojson: 'GeoJSON', gml: 'GML', point: 'geo:lat/long' };
+
+// Number of IRIs resolved per label query
+const LABEL_BATCH_SIZE = 100;
+
+// Deepest chain of blank nodes followed from a resource in quads mode (long
+// RDF lists are cut off there)
+const QUADS_MAX_DEPTH = 16;
+
+// Time a link must stay hovered before its resource is prefetched (ms)
+const PREFETCH_DELAY = 150;
+
+// Delay after the last scroll before the position is saved in the history (ms)
+const SCROLL_SAVE_DELAY = 200;
+
+// Format suffixes of RDF documents, which nginx serves rather than the app
+const DOCUMENT_SUFFIX = /\.(ttl|jsonld|rdf|nt|nq|trig)$/;
+
+// Datasets this deployment dereferences, most specific namespace first;
+// the primary dataset (ENTITY_NS on SPARQL_ENDPOINT) is always included.
+// With SPARQL_PROXY the browser queries them through nginx, which adds the
+// endpoint credentials: /sparql-proxy/0 for SPARQL_ENDPOINT, /sparql-proxy/n
+// for the n-th entry of CONFIG.DATASETS.
+const DATASETS = [
+    { namespace: CONFIG.ENTITY_NS, endpoint: CONFIG.SPARQL_ENDPOINT },
+    ...(CONFIG.DATASETS || [])
+]
+    .map((dataset, index) => CONFIG.SPARQL_PROXY ? { ...dataset, endpoint: `/sparql-proxy/${index}` } : dataset)
+    .sort((a, b) => b.namespace.length - a.namespace.length);
+
+const PRIMARY_ENDPOINT = CONFIG.SPARQL_PROXY ? '/sparql-proxy/0' : CONFIG.SPARQL_ENDPOINT;
+
+/**
+ * Dataset whose namespace an IRI is in, or null for external IRIs
+ */
+function datasetFor(uri) {
+    return DATASETS.find(dataset => uri.startsWith(dataset.namespace)) || null;
+}
+
 // Will be loaded from prefixes.json
 let PREFIXES = {};
 
@@ -27,43 +88,226 @@ async function loadPrefixes() {
     }
 }
 
+/**
+ * Escape text for safe interpolation into HTML markup
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Link target for an external IRI. Only web and mail schemes are linked,
+ * so `javascript:` or `data:` IRIs in the data cannot run in the page.
+ */
+function externalHref(uri) {
+    return /^(https?|ftp|mailto):/i.test(uri) ? uri : '#';
+}
+
+/**
+ * Rank a language tag against the browser's preferred languages (lower is better).
+ * Exact matches beat primary-subtag matches; untagged values come after all
+ * preferred languages, and any other language comes last.
+ */
+function languageRank(lang) {
+    const preferred = (navigator.languages && navigator.languages.length
+        ? navigator.languages
+        : [navigator.language || 'en']).map(l => l.toLowerCase());
+
+    if (!lang) return preferred.length;
+
+    const tag = lang.toLowerCase();
+    const exact = preferred.indexOf(tag);
+    if (exact !== -1) return exact;
+
+    const primary = preferred.findIndex(p => p.split('-')[0] === tag.split('-')[0]);
+    if (primary !== -1) return primary + 0.5;
+
+    return preferred.length + 1;
+}
+
+/**
+ * Pick the best label from { property, literal } candidates:
+ * preferred language first, then the order of CONFIG.LABEL_PROPERTIES
+ */
+function pickLabel(candidates) {
+    if (candidates.length === 0) return null;
+    const propertyRank = (property) => CONFIG.LABEL_PROPERTIES.indexOf(property);
+    const best = [...candidates].sort((a, b) =>
+        languageRank(a.literal.language) - languageRank(b.literal.language) ||
+        propertyRank(a.property) - propertyRank(b.property)
+    )[0];
+    return best.literal.value;
+}
+
+/**
+ * Convert a SPARQL JSON results binding into an N3.js term
+ */
+function termFromBinding(binding) {
+    const { namedNode, blankNode, literal } = N3.DataFactory;
+    if (binding.type === 'uri') return namedNode(binding.value);
+    if (binding.type === 'bnode') return blankNode(binding.value);
+    return literal(
+        binding.value,
+        binding['xml:lang'] || (binding.datatype ? namedNode(binding.datatype) : undefined)
+    );
+}
+
 class URIDereferencer {
     constructor() {
         this.resourceURI = null;
+        this.endpoint = PRIMARY_ENDPOINT;
+        this.sparql = new SPARQLClient(this.endpoint);
         this.triples = [];
+        this.triplesBySubject = new Map();
+        this.tripleGraphs = new Map();
+        this.graphFilter = null;
         this.types = [];
-        this.geometryNode = null;
-        this.wktLiteral = null;
+        this.labels = new Map();
+        this.predicateInfo = new Map();
+        this.geometries = [];
+        this.rdfExport = null;
+        // Header, properties and See Also already rendered by the server
+        this.prerendered = false;
+        // Incremented for every page shown; loaders of earlier pages stop rendering
+        this.view = 0;
+        // Path and query of the page shown, to tell navigation from fragment changes
+        this.shownPath = null;
+        // Scroll position to return to once the page has loaded (back/forward)
+        this.pendingScroll = null;
+        this.scrollTimer = null;
+        // Resource descriptions being prefetched, by IRI
+        this.prefetches = new Map();
+        this.prefetchTimer = null;
+        this.landing = null;
+        this.pathFinder = null;
+        this.nearby = null;
     }
 
     /**
      * Initialize the application
      */
     async init() {
+        // Finish an OpenID Connect login, then return to where it started
+        try {
+            if (await auth.handleCallback()) return;
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.showError(error.message, 'Login failed');
+        }
+        auth.setupButton();
+        sparqlCache.setupControl();
+
         // Load prefixes first
         await loadPrefixes();
 
+        // Server-rendered content stays in place until it is rendered again
+        this.prerendered = document.getElementById('resource-jsonld') !== null;
+
+        // Setup RDF format links
+        this.setupRDFFormatLinks();
+        
+        // Setup copy button
+        this.setupCopyButton();
+
+        // Link the properties table to the graph and map selection
+        this.setupLinkedSelection();
+
+        // Open local links in place, with back/forward support
+        this.setupNavigation();
+
+        // Reloads and returns from other sites keep their scroll position too
+        this.pendingScroll = history.state && history.state.scroll ? history.state.scroll : null;
+        await this.show();
+    }
+
+    /**
+     * Show the page for the current URL: the landing page, or a resource
+     */
+    async show() {
+        if (this.view > 0) this.clearPage();
+        this.view++;
+        this.shownPath = window.location.pathname + window.location.search;
+
         // Extract URI from URL path
         this.resourceURI = this.extractURIFromPath();
         
+        // No URI: show the landing page with search and class browser, set
+        // up the first time it is shown
         if (!this.resourceURI) {
-            this.showError('No URI specified. Please provide a resource URI in the path.');
+            // Search and classes come from the primary dataset, whatever
+            // resource was shown before
+            this.endpoint = PRIMARY_ENDPOINT;
+            this.sparql = new SPARQLClient(this.endpoint);
+            if (this.landing) {
+                this.landing.show();
+            } else {
+                this.landing = new LandingPage(this);
+                await this.landing.init();
+            }
+            return;
+        }
+
+        // Malformed IRIs never reach a query
+        const problem = iriProblem(this.resourceURI);
+        if (problem) {
+            this.displayURI();
+            this.showError(`This address does not name a valid IRI (${problem}), so it cannot be looked up. ` +
+                'Characters such as spaces, <, >, {, } or " must be percent-encoded.', 'Malformed IRI');
             return;
         }
 
+        // Query the endpoint of the resource's dataset
+        const dataset = datasetFor(this.resourceURI);
+        this.endpoint = dataset ? dataset.endpoint : PRIMARY_ENDPOINT;
+        this.sparql = new SPARQLClient(this.endpoint);
+
         // Display URI
         this.displayURI();
-        
-        // Setup RDF format links
-        this.setupRDFFormatLinks();
-        
-        // Setup copy button
-        this.setupCopyButton();
 
         // Load resource data
         await this.loadResource();
     }
 
+    /**
+     * Remove the previous page's content before another one is shown. The
+     * map and the graph are emptied for reuse; labels and property metadata
+     * are kept, as they do not depend on the resource.
+     */
+    clearPage() {
+        ['error', 'rdf-viewer', 'properties', 'graph-filter', 'class-view', 'incoming', 'see-also', 'connection']
+            .forEach(id => { document.getElementById(id).style.display = 'none'; });
+        document.getElementById('landing').style.display = 'none';
+        document.getElementById('resource').style.display = '';
+        document.getElementById('uri-display').textContent = 'Loading...';
+
+        // Server-rendered metadata describes the page the app started on
+        document.querySelectorAll('#resource-jsonld, meta[property^="og:"], link[rel="alternate"]')
+            .forEach(element => element.remove());
+        this.prerendered = false;
+
+        this.triples = [];
+        this.triplesBySubject = new Map();
+        this.tripleGraphs = new Map();
+        this.graphFilter = null;
+        this.types = [];
+        this.geometries = [];
+        this.rdfExport = null;
+        this.seeAlsoTabs = [];
+        this.seeAlsoActive = null;
+
+        selection.clear('navigation');
+        sparqlCache.hideOfflineNotice();
+        if (this.pathFinder) this.pathFinder.reset();
+        if (this.nearby) this.nearby.clear();
+        if (typeof clearMap === 'function') clearMap();
+        if (typeof window.resetGraph === 'function') window.resetGraph();
+    }
+
     /**
      * Extract resource URI from URL path
      * 
@@ -73,10 +317,10 @@ class URIDereferencer {
      * 
      * 2. Testing: http://localhost:8080/http://example.org/resource
      *    → Resolves to URI: http://example.org/resource
+     *
+     * @param {string} [path] - Path of a link; defaults to the page's own
      */
-    extractURIFromPath() {
-        const path = window.location.pathname;
-        
+    extractURIFromPath(path = window.location.pathname) {
         // Remove leading slash
         let uri = path.substring(1);
         
@@ -87,7 +331,12 @@ class URIDereferencer {
 
         // If it's already a full URI (testing mode), use it directly
         if (uri.startsWith('http://') || uri.startsWith('https://')) {
-            return decodeURIComponent(uri);
+            try {
+                return decodeURIComponent(uri);
+            } catch (error) {
+                // Malformed percent-encoding, reported by the IRI check
+                return uri;
+            }
         }
 
         // Otherwise, construct URI from base + path (production mode)
@@ -99,27 +348,28 @@ class URIDereferencer {
      * Display URI in the header
      */
     displayURI() {
-        document.getElementById('uri-display').textContent = this.resourceURI;
-        document.title = `Resource: ${this.resourceURI}`;
+        const label = this.labels.get(this.resourceURI);
+        const display = document.getElementById('uri-display');
+        const iri = document.getElementById('uri-iri');
+
+        display.textContent = label || this.resourceURI;
+        display.title = this.resourceURI;
+        iri.textContent = label ? this.resourceURI : '';
+        iri.style.display = label ? 'block' : 'none';
+        document.title = `Resource: ${label || this.resourceURI}`;
     }
 
     /** 
-     * Setup RDF format download links
+     * Setup RDF format links, the viewer and its download button
      */
     setupRDFFormatLinks() {
-        const formats = {
-            'link-turtle':  { accept: 'text/turtle', label: 'Turtle' },
-            'link-rdfxml':  { accept: 'application/rdf+xml', label: 'RDF/XML' },
-            'link-jsonld':  { accept: 'application/ld+json', label: 'JSON-LD' }
-        };
-
-        for (const [id, fmt] of Object.entries(formats)) {
-            document.getElementById(id).href = '#';
-            document.getElementById(id).onclick = (e) => {
+        document.querySelectorAll('.rdf-formats [data-format]').forEach(link => {
+            link.href = '#';
+            link.onclick = (e) => {
                 e.preventDefault();
-                this.showRDFFormat(fmt.accept, fmt.label);
+                this.showRDFFormat(link.dataset.format);
             };
-        }
+        });
 
         document.getElementById('rdf-close').addEventListener('click', () => {
             document.getElementById('rdf-viewer').style.display = 'none';
@@ -133,43 +383,103 @@ class URIDereferencer {
                 setTimeout(() => { icon.className = 'bi bi-clipboard'; }, 2000);
             });
         });
+
+        document.getElementById('rdf-download').addEventListener('click', () => {
+            if (!this.rdfExport) return;
+            const { text, format } = this.rdfExport;
+            downloadText(text, format.mime, `${this.exportFileName()}.${format.extension}`);
+        });
     }
 
     /**
-     * Fetch DESCRIBE in a specific format and display
+     * Display the resource in one of the EXPORT_FORMATS. Everything except
+     * RDF/XML is serialized from the loaded (graph-filtered) triples.
      */
-    async showRDFFormat(accept, label) {
+    async showRDFFormat(formatKey) {
+        const format = EXPORT_FORMATS[formatKey];
         const viewer = document.getElementById('rdf-viewer');
         const code = document.getElementById('rdf-code');
-        const title = document.getElementById('rdf-viewer-title');
+        const download = document.getElementById('rdf-download');
 
-        title.textContent = label;
+        document.getElementById('rdf-viewer-title').textContent = format.label;
         code.textContent = 'Loading...';
         viewer.style.display = 'block';
+        download.disabled = true;
+        this.rdfExport = null;
 
         try {
-            const query = `DESCRIBE <${this.resourceURI}>`;
-            const url = CONFIG.SPARQL_ENDPOINT + '?query=' + encodeURIComponent(query);
-            const response = await fetch(url, { headers: { 'Accept': accept } });
+            let text;
+            if (format.remote) {
+                text = await this.sparql.fetchText(`DESCRIBE ${sparqlIRI(this.resourceURI)}`, format.mime);
+            } else if (formatKey === 'csv' || formatKey === 'tsv') {
+                text = toDelimited(this.propertiesToRows(), formatKey === 'csv' ? ',' : '\t');
+            } else {
+                text = await serializeQuads(this.visibleTriples(), formatKey, PREFIXES);
+            }
 
-            if (!response.ok) throw new Error(response.statusText);
-            code.textContent = await response.text();
+            code.textContent = '';
+            if (format.highlight) {
+                code.appendChild(highlightTurtle(text, uri => this.makeLocalLink(uri)));
+            } else {
+                code.textContent = text;
+            }
+            this.rdfExport = { text, format };
+            download.disabled = false;
         } catch (err) {
-            code.textContent = `Error fetching ${label}: ${err.message}`;
+            code.textContent = err instanceof SPARQLError
+                ? `${err.title}: ${err.message}`
+                : `Error serializing ${format.label}: ${err.message}`;
         }
     }
 
     /**
-     * Build a local link for a URI in our entity namespace,
-     * or return null if the URI is external.
+     * Rows of the properties table for CSV/TSV export, header first
+     */
+    propertiesToRows() {
+        const header = ['property', 'property_label', 'value', 'value_label', 'datatype', 'language'];
+        if (CONFIG.NAMED_GRAPHS) header.push('graph');
+
+        const rows = (this.triplesBySubject.get(this.resourceURI) || []).map(triple => {
+            const { predicate, object } = triple;
+            const isLiteral = object.termType === 'Literal';
+            const row = [
+                predicate.value,
+                this.labels.get(predicate.value) || '',
+                object.termType === 'BlankNode' ? `_:${object.value}` : object.value,
+                object.termType === 'NamedNode' ? this.labels.get(object.value) || '' : '',
+                isLiteral && !object.language ? object.datatype.value : '',
+                isLiteral ? object.language : ''
+            ];
+            if (CONFIG.NAMED_GRAPHS) {
+                const tripleKey = `${triple.subject.id} ${predicate.id} ${object.id}`;
+                row.push((this.tripleGraphs.get(tripleKey) || []).join(' '));
+            }
+            return row;
+        });
+
+        return [header, ...rows];
+    }
+
+    /**
+     * File name (without extension) for downloads: the last path segment
+     * of the resource IRI
+     */
+    exportFileName() {
+        const segment = this.resourceURI.replace(/[#/]+$/, '').split(/[#/]/).pop();
+        return segment.replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '') || 'resource';
+    }
+
+    /**
+     * Build a local link for a URI in one of the configured dataset
+     * namespaces, or return null if the URI is external.
      */
     makeLocalLink(uri) {
-        if (!uri.startsWith(CONFIG.ENTITY_NS)) return null;
+        if (!datasetFor(uri)) return null;
         // Production: origin matches entity NS → use just the path
-        if (window.location.origin === CONFIG.ENTITY_NS) {
+        if (window.location.origin === CONFIG.ENTITY_NS && uri.startsWith(CONFIG.ENTITY_NS)) {
             return uri.substring(CONFIG.ENTITY_NS.length) || '/';
         }
-        // Testing: embed the full URI in the path
+        // Other datasets and testing: embed the full URI in the path
         return '/' + uri;
     }
 
@@ -189,19 +499,171 @@ class URIDereferencer {
         });
     }
 
+    /**
+     * Publish hovered and clicked property values to the shared selection,
+     * and highlight the values and rows matching the active item
+     */
+    setupLinkedSelection() {
+        const tbody = document.getElementById('properties-tbody');
+        const itemFor = (element) => ({ value: element.dataset.value, predicate: element.dataset.predicate });
+
+        tbody.addEventListener('mouseover', (e) => {
+            const value = e.target.closest('.linked-value');
+            if (value && !value.contains(e.relatedTarget)) selection.hover(itemFor(value), 'table');
+        });
+        tbody.addEventListener('mouseout', (e) => {
+            const value = e.target.closest('.linked-value');
+            if (!value || value.contains(e.relatedTarget)) return;
+            const next = e.relatedTarget && e.relatedTarget.closest ? e.relatedTarget.closest('.linked-value') : null;
+            selection.hover(next && tbody.contains(next) ? itemFor(next) : null, 'table');
+        });
+        // Links keep navigating; clicking elsewhere on a value selects it
+        tbody.addEventListener('click', (e) => {
+            const value = e.target.closest('.linked-value');
+            if (value && !e.target.closest('a, button')) selection.select(itemFor(value), 'table');
+        });
+
+        selection.subscribe((item) => {
+            tbody.querySelectorAll('.selection-active').forEach(el => el.classList.remove('selection-active'));
+            if (!item) return;
+            tbody.querySelectorAll('.linked-value').forEach(value => {
+                if (LinkedSelection.matches(item, itemFor(value))) {
+                    value.classList.add('selection-active');
+                    value.closest('tr').classList.add('selection-active');
+                }
+            });
+        });
+    }
+
+    /**
+     * Open links to resources of the configured datasets without reloading
+     * the app: the URL is pushed to the history and the resource is loaded
+     * in place. Back and forward show the earlier pages at their scroll
+     * position, and hovered links are prefetched into the response cache.
+     */
+    setupNavigation() {
+        history.scrollRestoration = 'manual';
+
+        // Clicks with a modifier or another button keep opening new tabs and windows
+        document.addEventListener('click', (e) => {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            const link = this.routedLink(e.target);
+            if (!link) return;
+            e.preventDefault();
+            this.navigate(link.getAttribute('href'));
+        });
+
+        document.addEventListener('mouseover', (e) => {
+            clearTimeout(this.prefetchTimer);
+            const link = this.routedLink(e.target);
+            if (!link) return;
+            this.prefetchTimer = setTimeout(() => this.prefetch(this.extractURIFromPath(link.pathname)), PREFETCH_DELAY);
+        });
+
+        window.addEventListener('popstate', (e) => {
+            // Fragment changes (e.g. #graph=) stay on the same page
+            if (window.location.pathname + window.location.search === this.shownPath) return;
+            clearTimeout(this.scrollTimer);
+            this.pendingScroll = e.state && e.state.scroll ? e.state.scroll : null;
+            this.show();
+        });
+
+        window.addEventListener('scroll', () => {
+            clearTimeout(this.scrollTimer);
+            this.scrollTimer = setTimeout(() => this.saveScroll(), SCROLL_SAVE_DELAY);
+        });
+    }
+
+    /**
+     * The link around an element when it opens a resource page of this app,
+     * otherwise null: external links, links opening elsewhere, the landing
+     * page and RDF documents are left to the browser
+     */
+    routedLink(element) {
+        const link = element.closest ? element.closest('a[href]') : null;
+        if (!link || link.target || link.hasAttribute('download') || link.getAttribute('href').startsWith('#')) return null;
+        if (link.origin !== window.location.origin || link.search || DOCUMENT_SUFFIX.test(link.pathname)) return null;
+
+        const uri = this.extractURIFromPath(link.pathname);
+        return uri && datasetFor(uri) ? link : null;
+    }
+
+    /**
+     * Show another page of the app and add it to the history
+     * @param {string} href - Local link, as made by makeLocalLink()
+     */
+    navigate(href) {
+        clearTimeout(this.scrollTimer);
+        this.saveScroll();
+
+        const url = new URL(href, window.location.href);
+        if (url.pathname === window.location.pathname && !url.search && !window.location.search) {
+            history.replaceState(null, '', href);
+        } else {
+            history.pushState(null, '', href);
+        }
+        window.scrollTo(0, 0);
+        this.pendingScroll = null;
+        this.show();
+    }
+
+    /**
+     * Remember the scroll position in the current history entry
+     */
+    saveScroll() {
+        history.replaceState({ ...history.state, scroll: window.scrollY }, '');
+    }
+
+    /**
+     * Scroll back to where the page was left, once its content is long enough
+     */
+    restoreScroll() {
+        if (this.pendingScroll === null) return;
+        window.scrollTo(0, this.pendingScroll);
+        if (window.scrollY >= this.pendingScroll - 1) this.pendingScroll = null;
+    }
+
+    /**
+     * Fetch a resource's description ahead of a click, so it comes from the
+     * response cache when the link is opened
+     */
+    prefetch(uri) {
+        if (!sparqlCache.enabled || uri === this.resourceURI || this.prefetches.has(uri) || iriProblem(uri)) return;
+
+        const request = this.describe(uri, new SPARQLClient(datasetFor(uri).endpoint));
+        this.prefetches.set(uri, request);
+        request
+            .catch(error => console.warn(`Could not prefetch ${uri}:`, error))
+            .finally(() => this.prefetches.delete(uri));
+    }
+
+    /**
+     * Triples describing a resource: DESCRIBE, or its per-graph equivalent
+     * in quads mode
+     */
+    async describe(uri, sparql = this.sparql) {
+        return CONFIG.NAMED_GRAPHS
+            ? this.executeQuadsQuery(uri, sparql)
+            : sparql.triples(`DESCRIBE ${sparqlIRI(uri)}`);
+    }
+
     /**
      * Load resource data from SPARQL endpoint
      */
     async loadResource() {
+        const view = this.view;
         try {
-            document.getElementById('loading').style.display = 'block';
+            if (!this.prerendered) {
+                document.getElementById('loading').style.display = 'block';
+            }
 
-            // Execute DESCRIBE query
-            const describeQuery = `DESCRIBE <${this.resourceURI}>`;
-            const triples = await this.executeSPARQLQuery(describeQuery);
+            // Execute DESCRIBE query, or its per-graph equivalent in quads mode;
+            // a prefetch still running for the resource is awaited instead
+            const triples = await (this.prefetches.get(this.resourceURI) || this.describe(this.resourceURI));
+            if (view !== this.view) return;
 
             if (triples.length === 0) {
-                this.showError(`No data found for resource: ${this.resourceURI}`);
+                this.showError(`No data found for resource: ${this.resourceURI}`, 'Resource not found');
                 return;
             }
 
@@ -209,74 +671,249 @@ class URIDereferencer {
 
             // Parse and render resource
             await this.parseResource();
+            await this.loadLabels(this.collectPageIRIs());
+            await this.loadPredicateMetadata();
+            if (view !== this.view) return;
+            this.displayURI();
             this.renderProperties();
 
-            // Render interactive graph
-            if (typeof window.initializeGraph === 'function') {
-                try {
-                    await window.initializeGraph(this.triples, CONFIG.SPARQL_ENDPOINT, PREFIXES);
-                } catch (graphError) {
-                    console.warn('Graph rendering failed:', graphError);
-                }
-            }
-
-            // Check for geometry
-            await this.checkForGeometry();
-            
-            // Load same-class resources
-            await this.loadSameClassResources();
-
-            // Hide loading spinner
+            // The page is usable once the properties are shown
             document.getElementById('loading').style.display = 'none';
-
+            this.restoreScroll();
         } catch (error) {
+            if (view !== this.view) return;
             console.error('Error loading resource:', error);
-            this.showError(`Failed to load resource: ${error.message}`);
+            if (error instanceof SPARQLError) {
+                this.showError(error.message, error.title);
+            } else {
+                this.showError(`Failed to load resource: ${error.message}`);
+            }
+            return;
         }
+
+        // Connection search to another resource
+        this.pathFinder = this.pathFinder || new PathFinder(this);
+        this.pathFinder.init();
+
+        // The other sections load side by side; each handles its own errors
+        await Promise.allSettled([
+            this.loadIncomingLinks(),
+            this.loadClassView(),
+            this.renderGraph(),
+            this.checkForGeometry(),
+            this.loadSameClassResources()
+        ]);
+        if (view !== this.view) return;
+        this.restoreScroll();
+        this.pendingScroll = null;
     }
 
     /**
-     * Execute SPARQL query and return triples
+     * Render the interactive graph
      */
-    async executeSPARQLQuery(query) {
-        const url = CONFIG.SPARQL_ENDPOINT + '?query=' + encodeURIComponent(query);
-        
-        const response = await fetch(url, {
-            headers: {
-                'Accept': 'application/n-triples'
-            }
-        });
+    async renderGraph() {
+        if (typeof window.initializeGraph !== 'function') return;
+        try {
+            await window.initializeGraph(this.triples, this.endpoint, PREFIXES, this.labels, {
+                linkFor: uri => this.makeLocalLink(uri),
+                navigate: href => this.navigate(href),
+                endpointFor: uri => (datasetFor(uri) || {}).endpoint,
+                fileName: this.exportFileName()
+            });
+        } catch (graphError) {
+            console.warn('Graph rendering failed:', graphError);
+        }
+    }
+
+    /**
+     * Execute SPARQL SELECT query and return result bindings
+     */
+    async executeSelectQuery(query, { signal } = {}) {
+        return this.sparql.select(query, { signal });
+    }
 
-        if (!response.ok) {
-            throw new Error(`SPARQL query failed: ${response.statusText}`);
+    /**
+     * Fetch the resource description with the named graph of every triple:
+     * the resource's own triples plus the blank nodes reachable from it
+     * through blank nodes only (DESCRIBE's Concise Bounded Description).
+     * Blank node labels only hold within one result, so each round asks for
+     * the whole description one level deeper, until the deepest level
+     * brings no blank node that is not described yet.
+     */
+    async executeQuadsQuery(uri = this.resourceURI, sparql = this.sparql) {
+        const subject = sparqlIRI(uri);
+        // Triples of the blank nodes `depth` blank-node links away (the
+        // resource itself at depth 0), in the graph of the chain
+        const level = depth => {
+            const patterns = Array.from({ length: depth }, (_, i) =>
+                `${i === 0 ? subject : `?b${i}`} ?l${i + 1} ?b${i + 1} . FILTER(isBlank(?b${i + 1}))`);
+            patterns.push(`BIND(${depth === 0 ? subject : `?b${depth}`} AS ?s)`, `BIND(${depth} AS ?depth)`, '?s ?p ?o .');
+            return `{ ${patterns.join(' ')} }`;
+        };
+
+        for (let depth = 1; ; depth++) {
+            const quadsQuery = `
+                SELECT ?g ?depth ?s ?p ?o WHERE {
+                    GRAPH ?g {
+                        ${Array.from({ length: depth + 1 }, (_, i) => level(i)).join('\n                        UNION ')}
+                    }
+                }
+            `;
+            const bindings = await sparql.select(quadsQuery);
+
+            const described = new Set(bindings
+                .filter(b => b.s.type === 'bnode')
+                .map(b => `${b.g.value} ${b.s.value}`));
+            const more = bindings.some(b => Number(b.depth.value) === depth &&
+                b.o.type === 'bnode' && !described.has(`${b.g.value} ${b.o.value}`));
+            if (!more || depth >= QUADS_MAX_DEPTH) return this.bindingsToQuads(bindings);
         }
+    }
 
-        const ntriples = await response.text();
-        
-        // Parse N-Triples using N3.js
-        const parser = new N3.Parser();
-        const quads = parser.parse(ntriples);
-        
+    /**
+     * Quads from ?g ?s ?p ?o bindings, without the duplicates of blank nodes
+     * reached along several chains
+     */
+    bindingsToQuads(bindings) {
+        const { quad, namedNode } = N3.DataFactory;
+        const seen = new Set();
+        const quads = [];
+        bindings.forEach(b => {
+            const key = [b.g, b.s, b.p, b.o].map(term => `${term.type} ${term.value} ${term['xml:lang'] || term.datatype || ''}`).join('\n');
+            if (seen.has(key)) return;
+            seen.add(key);
+            quads.push(quad(
+                termFromBinding(b.s),
+                namedNode(b.p.value),
+                termFromBinding(b.o),
+                namedNode(b.g.value)
+            ));
+        });
         return quads;
     }
 
+    /**
+     * Triples in the graphs selected by the graph filter (all when no filter)
+     */
+    visibleTriples() {
+        if (!this.graphFilter) return this.triples;
+        return this.triples.filter(t => this.graphFilter.has(t.graph.value));
+    }
+
+    /**
+     * Index visible triples by subject for rendering, merging a triple found
+     * in several named graphs into one entry and remembering its graphs
+     */
+    indexTriples() {
+        this.triplesBySubject = new Map();
+        this.tripleGraphs = new Map();
+
+        this.visibleTriples().forEach(triple => {
+            const tripleKey = `${triple.subject.id} ${triple.predicate.id} ${triple.object.id}`;
+            if (this.tripleGraphs.has(tripleKey)) {
+                this.tripleGraphs.get(tripleKey).push(triple.graph.value);
+                return;
+            }
+            this.tripleGraphs.set(tripleKey, [triple.graph.value]);
+
+            const key = triple.subject.value;
+            if (!this.triplesBySubject.has(key)) {
+                this.triplesBySubject.set(key, []);
+            }
+            this.triplesBySubject.get(key).push(triple);
+        });
+    }
+
     /**
      * Parse resource triples
      */
     async parseResource() {
+        // Index triples by subject for rendering
+        this.indexTriples();
+
         // Extract rdf:type values
         this.types = this.triples
             .filter(t => t.predicate.value === NS.RDF + 'type')
             .map(t => t.object.value);
+    }
+
+    /**
+     * Collect every IRI shown on the page: subjects, predicates, objects and datatypes
+     */
+    collectPageIRIs() {
+        const uris = new Set([this.resourceURI]);
+        this.triples.forEach(triple => {
+            [triple.subject, triple.predicate, triple.object].forEach(term => {
+                if (term.termType === 'NamedNode') uris.add(term.value);
+            });
+            if (triple.object.datatype) uris.add(triple.object.datatype.value);
+            if (triple.graph.termType === 'NamedNode') uris.add(triple.graph.value);
+        });
+        return [...uris];
+    }
+
+    /**
+     * Batch-fetch labels for IRIs that have not been resolved yet.
+     * IRIs without any label are remembered as null so they are not queried again.
+     */
+    async loadLabels(uris) {
+        const pending = [...new Set(uris)].filter(uri => !this.labels.has(uri));
+        if (pending.length === 0) return;
+
+        const candidates = new Map(pending.map(uri => [uri, []]));
+
+        // Labels already present in the DESCRIBE result
+        this.triples.forEach(triple => {
+            if (candidates.has(triple.subject.value) &&
+                triple.object.termType === 'Literal' &&
+                CONFIG.LABEL_PROPERTIES.includes(triple.predicate.value)) {
+                candidates.get(triple.subject.value).push({
+                    property: triple.predicate.value,
+                    literal: triple.object
+                });
+            }
+        });
 
-        // Check for gsp:hasGeometry
-        const geometryTriples = this.triples.filter(t => 
-            t.predicate.value === NS.GSP + 'hasGeometry'
-        );
+        // IRIs of batches whose query failed; they stay unresolved, so a
+        // later call asks for them again
+        const failed = new Set();
+
+        const properties = sparqlIRIs(CONFIG.LABEL_PROPERTIES);
+        for (let i = 0; i < pending.length; i += LABEL_BATCH_SIZE) {
+            const batch = pending.slice(i, i + LABEL_BATCH_SIZE);
+            const labelQuery = `
+                SELECT ?resource ?property ?label WHERE {
+                    VALUES ?resource { ${sparqlIRIs(batch)} }
+                    VALUES ?property { ${properties} }
+                    ?resource ?property ?label .
+                    FILTER(isLiteral(?label))
+                }
+            `;
 
-        if (geometryTriples.length > 0) {
-            this.geometryNode = geometryTriples[0].object.value;
+            try {
+                const bindings = await this.executeSelectQuery(labelQuery);
+                bindings.forEach(b => {
+                    candidates.get(b.resource.value)?.push({
+                        property: b.property.value,
+                        literal: termFromBinding(b.label)
+                    });
+                });
+            } catch (error) {
+                console.warn('Error loading labels:', error);
+                batch.forEach(uri => failed.add(uri));
+            }
         }
+
+        candidates.forEach((list, uri) => {
+            if (!failed.has(uri)) this.labels.set(uri, pickLabel(list));
+        });
+    }
+
+    /**
+     * Get the display text for a URI: its label, or the prefixed form
+     */
+    displayName(uri) {
+        return this.labels.get(uri) || this.shortenURI(uri);
     }
 
     /**
@@ -288,65 +925,609 @@ class URIDereferencer {
 
         // Group triples by predicate
         const grouped = {};
+        (this.triplesBySubject.get(this.resourceURI) || []).forEach(triple => {
+            const pred = triple.predicate.value;
+            if (!grouped[pred]) {
+                grouped[pred] = [];
+            }
+            grouped[pred].push(triple);
+        });
+
+        // Render each property, section by section
+        this.appendPropertyRows(tbody, grouped);
+
+        if (CONFIG.NAMED_GRAPHS) {
+            this.renderGraphFilter();
+        }
+
+        // Show properties section
+        document.getElementById('properties').style.display = 'block';
+    }
+
+    /**
+     * Append one row per predicate of `grouped` (predicate -> triples), in the
+     * sections of groupProperties(); used by the properties table and the
+     * sub-tables of blank nodes
+     */
+    appendPropertyRows(tbody, grouped, ancestors = new Set()) {
+        const sections = this.groupProperties(Object.keys(grouped));
+        sections.forEach(section => {
+            if (section.heading && sections.length > 1) {
+                const headingRow = document.createElement('tr');
+                headingRow.className = 'property-group';
+                const headingCell = document.createElement('th');
+                headingCell.colSpan = 2;
+                headingCell.textContent = section.heading;
+                headingCell.title = section.key;
+                headingRow.appendChild(headingCell);
+                tbody.appendChild(headingRow);
+            }
+
+            section.predicates.forEach(predicate => {
+                const row = document.createElement('tr');
+
+                // Property cell
+                row.appendChild(this.formatPropertyCell(predicate));
+
+                // Values cell
+                const valueCell = document.createElement('td');
+                this.appendValues(valueCell, grouped[predicate], ancestors);
+                row.appendChild(valueCell);
+
+                tbody.appendChild(row);
+            });
+        });
+    }
+
+    /**
+     * Render the named graph filter: one checkbox per graph with its triple count
+     */
+    renderGraphFilter() {
+        const container = document.getElementById('graph-filter');
+        container.innerHTML = '';
+
+        const counts = new Map();
         this.triples.forEach(triple => {
-            if (triple.subject.value === this.resourceURI) {
-                const pred = triple.predicate.value;
-                if (!grouped[pred]) {
-                    grouped[pred] = [];
+            counts.set(triple.graph.value, (counts.get(triple.graph.value) || 0) + 1);
+        });
+        if (counts.size === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const caption = document.createElement('span');
+        caption.className = 'text-muted me-1';
+        caption.innerHTML = '<i class="bi bi-collection"></i> Graphs:';
+        container.appendChild(caption);
+
+        [...counts.keys()].sort().forEach(graph => {
+            const label = document.createElement('label');
+            label.className = 'form-check form-check-inline mb-0';
+            label.title = graph;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input';
+            checkbox.checked = !this.graphFilter || this.graphFilter.has(graph);
+            checkbox.addEventListener('change', () => {
+                const selected = new Set(
+                    [...container.querySelectorAll('input')]
+                        .filter(input => input.checked)
+                        .map(input => input.value)
+                );
+                this.graphFilter = selected.size === counts.size ? null : selected;
+                this.indexTriples();
+                this.renderProperties();
+            });
+            checkbox.value = graph;
+            label.appendChild(checkbox);
+
+            label.appendChild(this.formatGraphBadge(graph));
+            const count = document.createElement('span');
+            count.className = 'text-muted ms-1';
+            count.textContent = counts.get(graph).toLocaleString();
+            label.appendChild(count);
+
+            container.appendChild(label);
+        });
+
+        container.style.display = 'flex';
+    }
+
+    /**
+     * Build a colored badge naming a graph; the full IRI is in the tooltip
+     */
+    formatGraphBadge(graph) {
+        if (!this.graphColors) {
+            this.graphColors = new Map();
+        }
+        if (!this.graphColors.has(graph)) {
+            this.graphColors.set(graph, this.graphColors.size % 8);
+        }
+
+        const badge = document.createElement('span');
+        badge.className = `badge graph-badge graph-color-${this.graphColors.get(graph)}`;
+        badge.title = graph;
+        const label = this.labels.get(graph);
+        badge.textContent = label || graph.replace(/[/#]$/, '').split(/[/#]/).pop() || graph;
+        return badge;
+    }
+
+    /**
+     * Fetch ontology and shape metadata for every predicate on the page:
+     * descriptions, ranges, inverses, declaring ontology and sh:order/sh:group
+     */
+    async loadPredicateMetadata() {
+        const predicates = [...new Set(this.triples.map(t => t.predicate.value))];
+        if (predicates.length === 0) return;
+
+        const metadataQuery = `
+            SELECT ?property ?key ?value WHERE {
+                VALUES ?property { ${sparqlIRIs(predicates)} }
+                {
+                    ?property <${NS.RDFS}comment> ?value .
+                    BIND("comment" AS ?key)
+                } UNION {
+                    ?property <${NS.RDFS}range> ?value .
+                    BIND("range" AS ?key)
+                } UNION {
+                    ?property <${NS.OWL}inverseOf> ?value .
+                    BIND("inverseOf" AS ?key)
+                } UNION {
+                    ?value <${NS.OWL}inverseOf> ?property .
+                    BIND("inverseOf" AS ?key)
+                } UNION {
+                    ?property <${NS.RDFS}isDefinedBy> ?value .
+                    BIND("definedBy" AS ?key)
+                } UNION {
+                    ?shape <${NS.SH}path> ?property ; <${NS.SH}description> ?value .
+                    BIND("comment" AS ?key)
+                } UNION {
+                    ?shape <${NS.SH}path> ?property ; <${NS.SH}order> ?value .
+                    BIND("order" AS ?key)
+                } UNION {
+                    ?shape <${NS.SH}path> ?property ; <${NS.SH}group> ?value .
+                    BIND("group" AS ?key)
+                } UNION {
+                    ?shape <${NS.SH}path> ?property ; <${NS.SH}group> ?group .
+                    ?group <${NS.SH}order> ?value .
+                    BIND("groupOrder" AS ?key)
+                }
+            }
+        `;
+
+        let bindings = [];
+        try {
+            bindings = await this.executeSelectQuery(metadataQuery);
+        } catch (error) {
+            console.warn('Error loading predicate metadata:', error);
+            return;
+        }
+
+        const comments = new Map();
+        bindings.forEach(b => {
+            const property = b.property.value;
+            if (!this.predicateInfo.has(property)) {
+                this.predicateInfo.set(property, { ranges: [], inverseOf: [] });
+            }
+            const info = this.predicateInfo.get(property);
+            const value = b.value.value;
+
+            switch (b.key.value) {
+                case 'comment':
+                    if (!comments.has(property)) comments.set(property, []);
+                    comments.get(property).push(termFromBinding(b.value));
+                    break;
+                case 'range':
+                    if (!info.ranges.includes(value)) info.ranges.push(value);
+                    break;
+                case 'inverseOf':
+                    if (!info.inverseOf.includes(value)) info.inverseOf.push(value);
+                    break;
+                case 'definedBy':
+                    info.definedBy = info.definedBy || value;
+                    break;
+                case 'order':
+                case 'groupOrder': {
+                    // A property may appear in several shapes: keep the lowest order
+                    const order = parseFloat(value);
+                    if (!isNaN(order) && !(info[b.key.value] <= order)) info[b.key.value] = order;
+                    break;
                 }
-                grouped[pred].push(triple.object);
+                case 'group':
+                    info.group = info.group || value;
+                    break;
             }
         });
 
-        // Render each property
-        Object.keys(grouped).sort().forEach(predicate => {
-            const values = grouped[predicate];
-            
+        comments.forEach((literals, property) => {
+            literals.sort((a, b) => languageRank(a.language) - languageRank(b.language));
+            this.predicateInfo.get(property).comment = literals[0].value;
+        });
+
+        // Labels for the IRIs shown in the property help and group headings
+        const related = [];
+        this.predicateInfo.forEach(info => {
+            related.push(...info.ranges, ...info.inverseOf);
+            if (info.group) related.push(info.group);
+            if (info.definedBy) related.push(info.definedBy);
+        });
+        await this.loadLabels(related);
+    }
+
+    /**
+     * Split predicates into table sections. rdf:type and label properties are
+     * pinned on top; the rest is grouped by sh:group when shapes define groups,
+     * otherwise by declaring ontology. Within a section predicates follow
+     * sh:order, falling back to alphabetical order of their display name.
+     */
+    groupProperties(predicates) {
+        const pinned = [NS.RDF + 'type', ...CONFIG.LABEL_PROPERTIES];
+        const info = (p) => this.predicateInfo.get(p) || {};
+        const byOrder = (a, b) =>
+            ((info(a).order ?? Infinity) - (info(b).order ?? Infinity)) ||
+            this.displayName(a).localeCompare(this.displayName(b));
+
+        const sections = [];
+
+        const top = predicates
+            .filter(p => pinned.includes(p))
+            .sort((a, b) => pinned.indexOf(a) - pinned.indexOf(b));
+        if (top.length > 0) {
+            sections.push({ key: null, heading: null, predicates: top });
+        }
+
+        const rest = predicates.filter(p => !pinned.includes(p));
+        const useShapeGroups = rest.some(p => info(p).group);
+
+        const buckets = new Map();
+        rest.forEach(p => {
+            const key = useShapeGroups
+                ? (info(p).group || '')
+                : (info(p).definedBy || this.namespaceOf(p));
+            if (!buckets.has(key)) {
+                buckets.set(key, { key, order: info(p).groupOrder ?? Infinity, predicates: [] });
+            }
+            buckets.get(key).predicates.push(p);
+        });
+
+        [...buckets.values()]
+            .map(bucket => ({
+                ...bucket,
+                heading: bucket.key ? this.displayName(bucket.key).replace(/:$/, '') : 'Other'
+            }))
+            .sort((a, b) =>
+                (!a.key - !b.key) ||
+                (a.order - b.order) ||
+                a.heading.localeCompare(b.heading)
+            )
+            .forEach(bucket => {
+                bucket.predicates.sort(byOrder);
+                sections.push(bucket);
+            });
+
+        return sections;
+    }
+
+    /**
+     * Get the namespace of a URI: the longest known prefix, or everything
+     * up to the last '#' or '/'
+     */
+    namespaceOf(uri) {
+        let bestNs = '';
+        for (const namespace of Object.keys(PREFIXES)) {
+            if (uri.startsWith(namespace) && namespace.length > bestNs.length) {
+                bestNs = namespace;
+            }
+        }
+        if (bestNs) return bestNs;
+
+        const cut = Math.max(uri.lastIndexOf('#'), uri.lastIndexOf('/'));
+        return cut > 0 ? uri.substring(0, cut + 1) : uri;
+    }
+
+    /**
+     * Build the Property cell: the predicate link plus an expandable help
+     * block with its description, range and inverse
+     */
+    formatPropertyCell(predicate) {
+        const cell = document.createElement('td');
+        cell.appendChild(this.formatURI(predicate));
+
+        const info = this.predicateInfo.get(predicate);
+        if (!info || !(info.comment || info.ranges.length || info.inverseOf.length)) {
+            return cell;
+        }
+
+        if (info.comment) {
+            cell.querySelector('a').title += `\n\n${info.comment}`;
+        }
+
+        const toggle = document.createElement('button');
+        toggle.className = 'btn btn-link btn-sm p-0 ms-1 property-help-toggle';
+        toggle.title = 'Show property description';
+        toggle.innerHTML = '<i class="bi bi-info-circle"></i>';
+        cell.appendChild(toggle);
+
+        const help = document.createElement('div');
+        help.className = 'property-help';
+        help.style.display = 'none';
+
+        if (info.comment) {
+            const comment = document.createElement('div');
+            comment.textContent = info.comment;
+            help.appendChild(comment);
+        }
+
+        const addTermLine = (caption, uris) => {
+            if (uris.length === 0) return;
+            const line = document.createElement('div');
+            line.className = 'property-help-terms';
+            line.appendChild(document.createTextNode(`${caption}: `));
+            uris.forEach((uri, index) => {
+                if (index > 0) line.appendChild(document.createTextNode(', '));
+                line.appendChild(this.formatValue(N3.DataFactory.namedNode(uri)));
+            });
+            help.appendChild(line);
+        };
+        addTermLine('Range', info.ranges);
+        addTermLine('Inverse', info.inverseOf);
+
+        toggle.addEventListener('click', () => {
+            help.style.display = help.style.display === 'none' ? 'block' : 'none';
+        });
+        cell.appendChild(help);
+
+        return cell;
+    }
+
+    /**
+     * Show the class view when the resource is declared as a class,
+     * or when other resources use it as their rdf:type
+     */
+    async loadClassView() {
+        const view = this.view;
+        let isClass = this.types.some(type => CLASS_TYPES.includes(type));
+
+        if (!isClass) {
+            try {
+                isClass = await this.sparql.ask(`ASK { ?instance a ${sparqlIRI(this.resourceURI)} }`);
+            } catch (error) {
+                console.warn('Error checking for class instances:', error);
+            }
+        }
+
+        if (isClass && view === this.view) {
+            await new ClassView(this, this.resourceURI).init();
+        }
+    }
+
+    /**
+     * Load incoming links (?s ?p <uri>), grouped by predicate with counts
+     */
+    async loadIncomingLinks() {
+        const view = this.view;
+        try {
+            const countQuery = `
+                SELECT ?predicate (COUNT(DISTINCT ?subject) AS ?count) WHERE {
+                    ?subject ?predicate ${sparqlIRI(this.resourceURI)} .
+                }
+                GROUP BY ?predicate
+                ORDER BY DESC(?count)
+            `;
+            const bindings = await this.executeSelectQuery(countQuery);
+            const groups = bindings.map(b => ({
+                predicate: b.predicate.value,
+                count: parseInt(b.count.value, 10)
+            }));
+
+            if (groups.length > 0) {
+                await this.loadLabels(groups.map(g => g.predicate));
+                if (view === this.view) this.renderIncomingLinks(groups);
+            }
+        } catch (error) {
+            console.error('Error loading incoming links:', error);
+        }
+    }
+
+    /**
+     * Fetch one page of resources referring to this one through a predicate
+     */
+    async loadIncomingPage(predicate, offset) {
+        const pageQuery = `
+            SELECT DISTINCT ?subject WHERE {
+                ?subject ${sparqlIRI(predicate)} ${sparqlIRI(this.resourceURI)} .
+            }
+            ORDER BY ?subject
+            LIMIT ${INCOMING_PAGE_SIZE}
+            OFFSET ${offset}
+        `;
+        const bindings = await this.executeSelectQuery(pageQuery);
+        const subjects = bindings.map(b => termFromBinding(b.subject));
+        await this.loadLabels(subjects.filter(s => s.termType === 'NamedNode').map(s => s.value));
+        return subjects;
+    }
+
+    /**
+     * Render "Referenced By" section, one row per predicate with paging
+     */
+    renderIncomingLinks(groups) {
+        const tbody = document.getElementById('incoming-tbody');
+        tbody.innerHTML = '';
+
+        let total = 0;
+        groups.forEach(group => {
+            total += group.count;
+
             const row = document.createElement('tr');
-            
-            // Property cell
+
+            // Property cell with reference count
             const propCell = document.createElement('td');
-            propCell.innerHTML = this.formatURI(predicate);
+            propCell.appendChild(this.formatURI(group.predicate));
+            const countBadge = document.createElement('span');
+            countBadge.className = 'badge bg-secondary ms-1';
+            countBadge.textContent = group.count;
+            propCell.appendChild(countBadge);
             row.appendChild(propCell);
 
-            // Values cell
+            // Referring resources cell, filled page by page
             const valueCell = document.createElement('td');
-            values.forEach((value, index) => {
-                if (index > 0) {
-                    valueCell.appendChild(document.createElement('br'));
-                }
-                valueCell.appendChild(this.formatValue(value));
-            });
+            const list = document.createElement('div');
+            const moreButton = document.createElement('button');
+            moreButton.className = 'btn btn-link btn-sm p-0 incoming-more';
+            valueCell.appendChild(list);
+            valueCell.appendChild(moreButton);
             row.appendChild(valueCell);
 
+            let loaded = 0;
+            const loadNextPage = async () => {
+                moreButton.disabled = true;
+                moreButton.textContent = 'Loading...';
+                try {
+                    const subjects = await this.loadIncomingPage(group.predicate, loaded);
+                    subjects.forEach(subject => {
+                        if (list.childNodes.length > 0) {
+                            list.appendChild(document.createElement('br'));
+                        }
+                        list.appendChild(this.formatValue(subject));
+                    });
+                    loaded += subjects.length;
+                    // Stop paging when the endpoint runs dry, even if the count disagrees
+                    const remaining = subjects.length < INCOMING_PAGE_SIZE ? 0 : group.count - loaded;
+                    moreButton.style.display = remaining > 0 ? '' : 'none';
+                    moreButton.textContent = `Load more (${remaining} remaining)`;
+                } catch (error) {
+                    console.error('Error loading incoming page:', error);
+                    moreButton.textContent = 'Retry';
+                }
+                moreButton.disabled = false;
+            };
+            moreButton.addEventListener('click', loadNextPage);
+            loadNextPage();
+
             tbody.appendChild(row);
         });
 
-        // Show properties section
-        document.getElementById('properties').style.display = 'block';
+        document.getElementById('incoming-count').textContent = total;
+        document.getElementById('incoming').style.display = 'block';
     }
 
     /**
-     * Format URI for display with prefix
+     * Link to an IRI, showing its label or prefixed name
      */
     formatURI(uri) {
         const shortened = this.shortenURI(uri);
+        const label = this.labels.get(uri);
         const localLink = this.makeLocalLink(uri);
-        const href = localLink || uri;
-        const target = localLink ? '' : ' target="_blank" rel="noopener noreferrer"';
 
-        if (shortened !== uri) {
+        const link = document.createElement('a');
+        link.className = 'property-uri';
+        link.href = localLink || externalHref(uri);
+        link.title = label && shortened !== uri ? `${shortened}\n${uri}` : uri;
+        if (!localLink) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+
+        const addSpan = (className, text) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            link.appendChild(span);
+        };
+        if (label) {
+            addSpan('property-label', label);
+        } else if (shortened !== uri) {
             const parts = shortened.split(':');
-            return `<a href="${href}" class="property-uri" title="${uri}"${target}><span class="property-prefix">${parts[0]}:</span><span class="property-label">${parts.slice(1).join(':')}</span></a>`;
+            addSpan('property-prefix', `${parts[0]}:`);
+            addSpan('property-label', parts.slice(1).join(':'));
         } else {
-            return `<a href="${href}" class="property-uri" title="${uri}"${target}>${uri}</a>`;
+            link.textContent = uri;
         }
+        return link;
+    }
+
+    /**
+     * Append the objects of one predicate's triples to a cell. When they are
+     * literals in several languages, the preferred language is shown first and
+     * the other languages are kept behind a toggle.
+     */
+    appendValues(cell, triples, ancestors = new Set()) {
+        const isTagged = (t) => t.object.termType === 'Literal' && !!t.object.language;
+        const lang = (t) => t.object.language;
+        const tagged = triples.filter(isTagged);
+
+        let shown = triples;
+        let hidden = [];
+        if (new Set(tagged.map(t => lang(t).toLowerCase())).size > 1) {
+            const best = Math.min(...tagged.map(t => languageRank(lang(t))));
+            shown = triples.filter(t => !isTagged(t) || languageRank(lang(t)) === best);
+            hidden = tagged
+                .filter(t => languageRank(lang(t)) !== best)
+                .sort((a, b) =>
+                    languageRank(lang(a)) - languageRank(lang(b)) ||
+                    lang(a).localeCompare(lang(b))
+                );
+        }
+
+        shown.forEach((triple, index) => {
+            if (index > 0) {
+                cell.appendChild(document.createElement('br'));
+            }
+            cell.appendChild(this.formatTripleValue(triple, ancestors));
+        });
+
+        if (hidden.length === 0) return;
+
+        const otherLanguages = document.createElement('div');
+        otherLanguages.className = 'value-other-languages';
+        otherLanguages.style.display = 'none';
+        hidden.forEach((triple, index) => {
+            if (index > 0) {
+                otherLanguages.appendChild(document.createElement('br'));
+            }
+            otherLanguages.appendChild(this.formatTripleValue(triple, ancestors));
+        });
+
+        const toggle = document.createElement('button');
+        toggle.className = 'btn btn-link btn-sm p-0 value-toggle';
+        const languageCount = new Set(hidden.map(t => lang(t).toLowerCase())).size;
+        const collapsedText = `+${hidden.length} in ${languageCount} other language${languageCount > 1 ? 's' : ''}`;
+        toggle.textContent = collapsedText;
+        toggle.addEventListener('click', () => {
+            const expand = otherLanguages.style.display === 'none';
+            otherLanguages.style.display = expand ? 'block' : 'none';
+            toggle.textContent = expand ? 'Hide other languages' : collapsedText;
+        });
+
+        cell.appendChild(document.createElement('br'));
+        cell.appendChild(toggle);
+        cell.appendChild(otherLanguages);
     }
 
     /**
-     * Format RDF value for display
+     * Format a triple's object, followed by badges for its named graphs.
+     * The value is tagged for the linked selection with the graph and map.
      */
-    formatValue(node) {
+    formatTripleValue(triple, ancestors) {
+        const value = this.formatValue(triple.object, ancestors);
+        value.classList.add('linked-value');
+        value.dataset.value = triple.object.value;
+        value.dataset.predicate = triple.predicate.value;
+        if (CONFIG.NAMED_GRAPHS) {
+            const key = `${triple.subject.id} ${triple.predicate.id} ${triple.object.id}`;
+            (this.tripleGraphs.get(key) || []).forEach(graph => {
+                value.appendChild(this.formatGraphBadge(graph));
+            });
+        }
+        return value;
+    }
+
+    /**
+     * Format RDF value for display.
+     * `ancestors` holds the blank nodes already being rendered above this value.
+     */
+    formatValue(node, ancestors = new Set()) {
         const span = document.createElement('span');
 
         if (node.termType === 'NamedNode') {
@@ -354,25 +1535,32 @@ class URIDereferencer {
             const localLink = this.makeLocalLink(node.value);
             link.className = 'value-uri';
             link.title = node.value;
-            link.textContent = this.shortenURI(node.value);
+            link.textContent = this.displayName(node.value);
             if (localLink) {
                 link.href = localLink;
-                link.onclick = (e) => {
-                    e.preventDefault();
-                    window.location.href = localLink;
-                };
             } else {
-                link.href = node.value;
+                link.href = externalHref(node.value);
                 link.target = '_blank';
                 link.rel = 'noopener noreferrer';
             }
             span.appendChild(link);
         } else if (node.termType === 'Literal') {
-            // Literal value
-            const literalSpan = document.createElement('span');
-            literalSpan.className = 'value-literal';
-            literalSpan.textContent = node.value;
-            span.appendChild(literalSpan);
+            const datatype = node.datatype ? node.datatype.value : null;
+
+            // Literal value, rendered according to its datatype when possible
+            if (datatype === NS.XSD + 'anyURI' && /^https?:\/\/\S+$/.test(node.value.trim())) {
+                span.appendChild(this.formatValue(N3.DataFactory.namedNode(node.value.trim())));
+            } else {
+                span.appendChild(formatTypedLiteral(node) || this.formatPlainLiteral(node.value));
+            }
+
+            // Flag values outside their datatype's lexical space
+            if (datatype && !isValidLexicalForm(node.value, datatype)) {
+                const warning = document.createElement('i');
+                warning.className = 'bi bi-exclamation-triangle-fill value-invalid';
+                warning.title = `Invalid lexical form for ${this.shortenURI(datatype)}`;
+                span.appendChild(warning);
+            }
 
             // Add language tag if present
             if (node.language) {
@@ -382,13 +1570,24 @@ class URIDereferencer {
                 span.appendChild(langSpan);
             }
 
-            // Add datatype if present and not xsd:string
-            if (node.datatype && node.datatype.value !== NS.XSD + 'string') {
+            // QUDT unit datatypes are shown as a unit, not as ^^datatype
+            if (datatype && datatype.startsWith(QUDT_UNIT_NS)) {
+                const unitSpan = document.createElement('span');
+                unitSpan.className = 'value-unit';
+                unitSpan.textContent = this.displayName(datatype);
+                unitSpan.title = datatype;
+                span.appendChild(unitSpan);
+            } else if (node.datatype && node.datatype.value !== NS.XSD + 'string' &&
+                       node.datatype.value !== NS.RDF + 'langString') {
+                // Add datatype if present and not xsd:string
                 const dtSpan = document.createElement('span');
                 dtSpan.className = 'value-datatype';
-                dtSpan.textContent = `^^${this.shortenURI(node.datatype.value)}`;
+                dtSpan.textContent = `^^${this.displayName(node.datatype.value)}`;
+                dtSpan.title = node.datatype.value;
                 span.appendChild(dtSpan);
             }
+        } else if (node.termType === 'BlankNode') {
+            span.appendChild(this.formatBlankNode(node, ancestors));
         } else {
             span.textContent = node.value;
         }
@@ -396,6 +1595,159 @@ class URIDereferencer {
         return span;
     }
 
+    /**
+     * Render a plain literal, collapsing long text behind "show more"
+     */
+    formatPlainLiteral(text) {
+        const literalSpan = document.createElement('span');
+        literalSpan.className = 'value-literal';
+
+        if (text.length <= LONG_LITERAL_LENGTH) {
+            literalSpan.textContent = text;
+            return literalSpan;
+        }
+
+        const preview = text.substring(0, LONG_LITERAL_LENGTH).trimEnd() + '\u2026';
+        literalSpan.textContent = preview;
+
+        const toggle = document.createElement('button');
+        toggle.className = 'btn btn-link btn-sm p-0 ms-1 value-toggle';
+        toggle.textContent = 'show more';
+        toggle.addEventListener('click', () => {
+            const expand = literalSpan.textContent === preview;
+            literalSpan.textContent = expand ? text : preview;
+            toggle.textContent = expand ? 'show less' : 'show more';
+        });
+
+        const wrapper = document.createElement('span');
+        wrapper.appendChild(literalSpan);
+        wrapper.appendChild(toggle);
+        return wrapper;
+    }
+
+    /**
+     * Render a QUDT quantity value node (qudt:numericValue + qudt:unit) as
+     * "value unit", or return null if the node is not a plain quantity value
+     */
+    formatQuantityValue(node) {
+        const triples = this.triplesBySubject.get(node.value) || [];
+        const valuePredicates = [NS.QUDT + 'numericValue', NS.QUDT + 'value'];
+        const unitPredicates = [NS.QUDT + 'unit', NS.QUDT + 'hasUnit'];
+
+        const value = triples.find(t => valuePredicates.includes(t.predicate.value) && t.object.termType === 'Literal');
+        const unit = triples.find(t => unitPredicates.includes(t.predicate.value) && t.object.termType === 'NamedNode');
+        const others = triples.filter(t => t !== value && t !== unit && t.predicate.value !== NS.RDF + 'type');
+        if (!value || !unit || others.length > 0) {
+            return null;
+        }
+
+        const span = document.createElement('span');
+        span.className = 'value-quantity';
+        span.title = `_:${node.value}`;
+        span.appendChild(this.formatValue(value.object));
+        span.appendChild(document.createTextNode(' '));
+        span.appendChild(this.formatValue(unit.object));
+        return span;
+    }
+
+    /**
+     * Render a blank node inline from the DESCRIBE result (CBD):
+     * RDF lists as ordered lists, other structures as a collapsible sub-table
+     */
+    formatBlankNode(node, ancestors) {
+        const id = document.createElement('span');
+        id.className = 'value-bnode';
+        id.textContent = `_:${node.value}`;
+
+        if (ancestors.has(node.value)) {
+            id.textContent += ' (cycle)';
+            return id;
+        }
+
+        const nested = new Set(ancestors).add(node.value);
+
+        const items = this.readRDFList(node);
+        if (items) {
+            const list = document.createElement('ol');
+            list.className = 'bnode-list';
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.appendChild(this.formatValue(item, nested));
+                list.appendChild(li);
+            });
+            return list;
+        }
+
+        const quantity = this.formatQuantityValue(node);
+        if (quantity) {
+            return quantity;
+        }
+
+        const triples = this.triplesBySubject.get(node.value);
+        if (!triples) {
+            return id;
+        }
+
+        const grouped = {};
+        triples.forEach(triple => {
+            const pred = triple.predicate.value;
+            if (!grouped[pred]) {
+                grouped[pred] = [];
+            }
+            grouped[pred].push(triple);
+        });
+
+        const details = document.createElement('details');
+        details.className = 'bnode-details';
+        details.open = ancestors.size === 0;
+
+        const summary = document.createElement('summary');
+        const types = grouped[NS.RDF + 'type'] || [];
+        summary.textContent = types.length > 0
+            ? types.map(t => this.displayName(t.object.value)).join(', ')
+            : 'Blank node';
+        summary.title = `_:${node.value}`;
+        details.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'table table-sm mb-0 bnode-table';
+        const tbody = document.createElement('tbody');
+        this.appendPropertyRows(tbody, grouped, nested);
+        table.appendChild(tbody);
+        details.appendChild(table);
+
+        return details;
+    }
+
+    /**
+     * Read an RDF collection (rdf:first/rdf:rest) starting at a blank node.
+     * Returns the list items, or null if the node is not a well-formed list.
+     */
+    readRDFList(node) {
+        const items = [];
+        const seen = new Set();
+        let current = node;
+
+        while (!(current.termType === 'NamedNode' && current.value === NS.RDF + 'nil')) {
+            if (current.termType !== 'BlankNode' || seen.has(current.value)) {
+                return null;
+            }
+            seen.add(current.value);
+
+            const triples = this.triplesBySubject.get(current.value) || [];
+            const first = triples.filter(t => t.predicate.value === NS.RDF + 'first');
+            const rest = triples.filter(t => t.predicate.value === NS.RDF + 'rest');
+            if (first.length !== 1 || rest.length !== 1) {
+                return null;
+            }
+
+            items.push(first[0].object);
+            current = rest[0].object;
+        }
+
+        return items;
+    }
+
     /**
      * Shorten URI with prefix if possible (longest/most-specific namespace wins)
      */
@@ -412,47 +1764,133 @@ class URIDereferencer {
     }
 
     /**
-     * Check for geometry and display map
+     * Collect the resource's geometries and display them on the map:
+     * gsp:asWKT/asGeoJSON/asGML on the resource itself or on any of its
+     * gsp:hasGeometry/hasDefaultGeometry nodes, and W3C geo:lat/geo:long
      */
     async checkForGeometry() {
-        if (!this.geometryNode) {
-            return;
-        }
+        const view = this.view;
+        const ownTriples = this.triplesBySubject.get(this.resourceURI) || [];
+
+        // Preferred serialization among a geometry node's triples
+        const pickLiteral = (triples) => {
+            for (const [predicate, format] of GEOMETRY_LITERALS) {
+                const triple = triples.find(t => t.predicate.value === predicate && t.object.termType === 'Literal');
+                if (triple) return { format, literal: triple.object.value, predicate };
+            }
+            return null;
+        };
 
         try {
-            // Query for gsp:asWKT
-            const wktQuery = `
-                SELECT ?wkt WHERE {
-                    <${this.geometryNode}> <${NS.GSP}asWKT> ?wkt .
-                }
-            `;
+            const geometries = [];
+
+            // Geometry directly on the resource
+            const direct = pickLiteral(ownTriples);
+            if (direct) {
+                geometries.push({
+                    node: this.resourceURI,
+                    name: this.displayName(this.resourceURI),
+                    item: { value: direct.literal, predicate: direct.predicate },
+                    ...direct
+                });
+            }
 
-            const url = CONFIG.SPARQL_ENDPOINT + '?query=' + encodeURIComponent(wktQuery);
-            const response = await fetch(url, {
-                headers: {
-                    'Accept': 'application/sparql-results+json'
-                }
+            // Linked geometry nodes; blank nodes come with the resource description
+            const linked = [];
+            ownTriples
+                .filter(t => t.predicate.value === NS.GSP + 'hasGeometry' || t.predicate.value === NS.GSP + 'hasDefaultGeometry')
+                .forEach(t => {
+                    const existing = linked.find(l => l.node.equals(t.object));
+                    if (existing) {
+                        existing.isDefault = existing.isDefault || t.predicate.value === NS.GSP + 'hasDefaultGeometry';
+                    } else if (t.object.termType !== 'Literal') {
+                        linked.push({ node: t.object, isDefault: t.predicate.value === NS.GSP + 'hasDefaultGeometry' });
+                    }
+                });
+
+            const iriNodes = linked
+                .filter(l => l.node.termType === 'NamedNode' && !pickLiteral(this.triplesBySubject.get(l.node.value) || []))
+                .map(l => l.node.value);
+            const fetched = new Map();
+            if (iriNodes.length > 0) {
+                const geometryQuery = `
+                    SELECT ?geometry ?property ?literal WHERE {
+                        VALUES ?geometry { ${sparqlIRIs(iriNodes)} }
+                        VALUES ?property { ${GEOMETRY_LITERALS.map(([p]) => `<${p}>`).join(' ')} }
+                        ?geometry ?property ?literal .
+                    }
+                `;
+                const bindings = await this.executeSelectQuery(geometryQuery);
+                bindings.forEach(b => {
+                    if (!fetched.has(b.geometry.value)) fetched.set(b.geometry.value, []);
+                    fetched.get(b.geometry.value).push({
+                        predicate: N3.DataFactory.namedNode(b.property.value),
+                        object: termFromBinding(b.literal)
+                    });
+                });
+                await this.loadLabels(iriNodes);
+            }
+
+            linked.forEach(({ node, isDefault }, index) => {
+                const triples = fetched.get(node.value) || this.triplesBySubject.get(node.value) || [];
+                const serialization = pickLiteral(triples);
+                if (!serialization) return;
+                const name = node.termType === 'NamedNode' ? this.displayName(node.value) : `Geometry ${index + 1}`;
+                geometries.push({
+                    node: node.value,
+                    name: isDefault ? `${name} (default)` : name,
+                    item: { value: node.value },
+                    ...serialization
+                });
             });
 
-            if (!response.ok) {
-                throw new Error('WKT query failed');
-            }
-
-            const data = await response.json();
-            
-            if (data.results.bindings.length > 0) {
-                this.wktLiteral = data.results.bindings[0].wkt.value;
-                
-                // Display WKT
-                document.getElementById('wkt-code').textContent = this.wktLiteral;
-                
-                // Show map section
-                document.getElementById('map').style.display = 'block';
-                
-                // Initialize map (defined in map-viewer.js)
-                if (typeof initializeMap === 'function') {
-                    initializeMap(this.wktLiteral);
-                }
+            // W3C Basic Geo point
+            const lat = ownTriples.find(t => t.predicate.value === NS.GEO + 'lat');
+            const long = ownTriples.find(t => t.predicate.value === NS.GEO + 'long');
+            if (lat && long) {
+                geometries.push({
+                    node: this.resourceURI,
+                    name: 'geo:lat/long',
+                    item: { value: lat.object.value, predicate: NS.GEO + 'lat' },
+                    format: 'point',
+                    literal: `${lat.object.value} ${long.object.value}`
+                });
+            }
+
+            if (view !== this.view) return;
+            this.geometries = geometries;
+            if (geometries.length === 0) {
+                return;
+            }
+
+            // Display the literals
+            const literals = document.getElementById('geometry-literals');
+            literals.innerHTML = '';
+            geometries.forEach(geometry => {
+                const heading = document.createElement('div');
+                heading.className = 'small fw-semibold mt-1';
+                heading.textContent = `${geometry.name} (${GEOMETRY_FORMAT_LABELS[geometry.format]})`;
+                const pre = document.createElement('pre');
+                pre.className = 'bg-light p-2 rounded mb-0 small';
+                const code = document.createElement('code');
+                code.textContent = geometry.literal;
+                pre.appendChild(code);
+                literals.appendChild(heading);
+                literals.appendChild(pre);
+            });
+
+            // Show map section
+            document.getElementById('map').style.display = 'block';
+
+            // Initialize map (defined in map-viewer.js)
+            if (typeof initializeMap === 'function') {
+                await initializeMap(geometries);
+                if (view !== this.view) return;
+                initializeMapTools(this.exportFileName());
+
+                // Other resources in the viewport
+                this.nearby = this.nearby || new NearbyResources(this);
+                await this.nearby.init();
             }
         } catch (error) {
             console.error('Error fetching geometry:', error);
@@ -460,58 +1898,183 @@ class URIDereferencer {
     }
 
     /**
-     * Load resources with same rdf:type
+     * Load resources sharing an rdf:type, one tab per (non-generic) type
      */
     async loadSameClassResources() {
-        if (this.types.length === 0) {
+        const view = this.view;
+        const types = this.types.filter(type => !GENERIC_TYPES.includes(type));
+        if (types.length === 0) {
             return;
         }
 
+        this.seeAlsoTabs = types.map(type => ({ type, total: null, resources: [], exhausted: false, loading: null }));
+        this.seeAlsoActive = this.seeAlsoTabs[0];
+        this.seeAlsoMode = 'type';
+
         try {
-            // Query for resources with same type (limit to first type)
-            const typeURI = this.types[0];
-            const sameClassQuery = `
+            await Promise.all(this.seeAlsoTabs.map(async tab => {
+                const countQuery = `
+                    SELECT (COUNT(DISTINCT ?resource) AS ?count) WHERE {
+                        ?resource a ${sparqlIRI(tab.type)} .
+                        FILTER(?resource != ${sparqlIRI(this.resourceURI)})
+                    }
+                `;
+                const bindings = await this.executeSelectQuery(countQuery);
+                tab.total = bindings.length > 0 ? parseInt(bindings[0].count.value, 10) : 0;
+            }));
+            if (view !== this.view) return;
+
+            // Types without other instances get no tab
+            this.seeAlsoTabs = this.seeAlsoTabs.filter(tab => tab.total > 0);
+            if (this.seeAlsoTabs.length === 0) {
+                return;
+            }
+            this.seeAlsoActive = this.seeAlsoTabs[0];
+
+            this.setupSeeAlsoControls();
+            await this.loadSeeAlsoPage(this.seeAlsoActive);
+        } catch (error) {
+            console.error('Error loading same-class resources:', error);
+            document.getElementById('see-also-loading').style.display = 'none';
+        }
+    }
+
+    /**
+     * Fetch the next page of related resources for a tab. In "shared" mode
+     * resources are ranked by how many (predicate, value) pairs they share
+     * with this resource, otherwise they are listed in IRI order. A tab
+     * loads one page at a time.
+     */
+    async loadSeeAlsoPage(tab) {
+        if (tab.loading) return;
+        const request = {};
+        tab.loading = request;
+
+        const offset = tab.resources.length;
+        const mode = this.seeAlsoMode;
+        const sameClassQuery = mode === 'shared'
+            ? `
+                SELECT ?resource (COUNT(*) AS ?shared) WHERE {
+                    ${sparqlIRI(this.resourceURI)} ?predicate ?value .
+                    FILTER(?predicate != <${NS.RDF}type>)
+                    ?resource a ${sparqlIRI(tab.type)} ;
+                              ?predicate ?value .
+                    FILTER(?resource != ${sparqlIRI(this.resourceURI)})
+                }
+                GROUP BY ?resource
+                ORDER BY DESC(?shared) ?resource
+                LIMIT ${SEE_ALSO_PAGE_SIZE}
+                OFFSET ${offset}
+            `
+            : `
                 SELECT DISTINCT ?resource WHERE {
-                    ?resource a <${typeURI}> .
-                    FILTER(?resource != <${this.resourceURI}>)
+                    ?resource a ${sparqlIRI(tab.type)} .
+                    FILTER(?resource != ${sparqlIRI(this.resourceURI)})
                 }
-                LIMIT 10
+                ORDER BY ?resource
+                LIMIT ${SEE_ALSO_PAGE_SIZE}
+                OFFSET ${offset}
             `;
 
-            const url = CONFIG.SPARQL_ENDPOINT + '?query=' + encodeURIComponent(sameClassQuery);
-            const response = await fetch(url, {
-                headers: {
-                    'Accept': 'application/sparql-results+json'
+        if (tab === this.seeAlsoActive) {
+            document.getElementById('see-also-loading').style.display = 'block';
+            document.getElementById('see-also-more').disabled = true;
+        }
+        let resources = null;
+        try {
+            const bindings = await this.executeSelectQuery(sameClassQuery);
+            resources = bindings.map(b => ({
+                uri: b.resource.value,
+                shared: b.shared ? parseInt(b.shared.value, 10) : null
+            }));
+
+            await this.loadLabels([tab.type, ...resources.map(r => r.uri)]);
+        } catch (error) {
+            console.error('Error loading same-class resources:', error);
+        }
+
+        // The ranking mode changed, and the tab was reset, while this page
+        // was loading
+        if (tab.loading !== request) return;
+        tab.loading = null;
+
+        if (resources) {
+            tab.resources.push(...resources);
+            tab.exhausted = resources.length < SEE_ALSO_PAGE_SIZE;
+        }
+
+        if (tab === this.seeAlsoActive) {
+            this.renderSeeAlso(tab);
+        }
+    }
+
+    /**
+     * Build the type tabs and wire the ranking mode and "load more" controls
+     */
+    setupSeeAlsoControls() {
+        const tabs = document.getElementById('see-also-tabs');
+        tabs.innerHTML = '';
+
+        this.seeAlsoTabs.forEach(tab => {
+            const item = document.createElement('li');
+            item.className = 'nav-item';
+
+            const button = document.createElement('button');
+            button.className = 'nav-link';
+            button.title = tab.type;
+            button.textContent = this.displayName(tab.type);
+            const count = document.createElement('span');
+            count.className = 'badge bg-secondary ms-1';
+            count.textContent = tab.total.toLocaleString();
+            button.appendChild(count);
+
+            button.addEventListener('click', () => {
+                this.seeAlsoActive = tab;
+                if (tab.resources.length === 0) {
+                    this.renderSeeAlso(tab);
+                    this.loadSeeAlsoPage(tab);
+                } else {
+                    this.renderSeeAlso(tab);
                 }
             });
 
-            if (!response.ok) {
-                throw new Error('Same-class query failed');
-            }
+            item.appendChild(button);
+            tabs.appendChild(item);
+        });
 
-            const data = await response.json();
-            const resources = data.results.bindings.map(b => b.resource.value);
+        document.getElementById('see-also-mode').onchange = (e) => {
+            this.seeAlsoMode = e.target.value;
+            this.seeAlsoTabs.forEach(tab => {
+                tab.resources = [];
+                tab.exhausted = false;
+                tab.loading = null;
+            });
+            this.renderSeeAlso(this.seeAlsoActive);
+            this.loadSeeAlsoPage(this.seeAlsoActive);
+        };
 
-            if (resources.length > 0) {
-                this.renderSeeAlso(resources, typeURI);
-            }
+        document.getElementById('see-also-more').onclick = () => {
+            this.loadSeeAlsoPage(this.seeAlsoActive);
+        };
 
-        } catch (error) {
-            console.error('Error loading same-class resources:', error);
-            document.getElementById('see-also-loading').style.display = 'none';
-        }
+        document.getElementById('see-also').style.display = 'block';
     }
 
     /**
-     * Render "See Also" section
+     * Render "See Also" section for the active type tab
      */
-    renderSeeAlso(resources, typeURI) {
-        document.getElementById('see-also-loading').style.display = 'none';
-        
+    renderSeeAlso(tab) {
+        document.getElementById('see-also-loading').style.display = tab.loading ? 'block' : 'none';
+
+        document.querySelectorAll('#see-also-tabs .nav-link').forEach((button, index) => {
+            button.classList.toggle('active', this.seeAlsoTabs[index] === tab);
+        });
+
         const list = document.getElementById('see-also-list');
         list.innerHTML = '';
 
-        resources.forEach(resourceURI => {
+        tab.resources.forEach(resource => {
+            const resourceURI = resource.uri;
             const item = document.createElement('li');
             item.className = 'list-group-item';
 
@@ -519,36 +2082,43 @@ class URIDereferencer {
             const localLink = this.makeLocalLink(resourceURI);
             link.className = 'resource-link';
             link.title = resourceURI;
-            link.textContent = this.shortenURI(resourceURI);
+            link.textContent = this.displayName(resourceURI);
             if (localLink) {
                 link.href = localLink;
-                link.onclick = (e) => {
-                    e.preventDefault();
-                    window.location.href = localLink;
-                };
             } else {
-                link.href = resourceURI;
+                link.href = externalHref(resourceURI);
                 link.target = '_blank';
                 link.rel = 'noopener noreferrer';
             }
 
-            const typeSpan = document.createElement('div');
-            typeSpan.className = 'resource-type mt-1';
-            typeSpan.textContent = `Type: ${this.shortenURI(typeURI)}`;
+            const detail = document.createElement('div');
+            detail.className = 'resource-type mt-1';
+            detail.textContent = resource.shared !== null
+                ? `${resource.shared} shared value${resource.shared === 1 ? '' : 's'}`
+                : this.shortenURI(resourceURI);
 
             item.appendChild(link);
-            item.appendChild(typeSpan);
+            item.appendChild(detail);
             list.appendChild(item);
         });
 
-        document.getElementById('see-also').style.display = 'block';
+        const more = document.getElementById('see-also-more');
+        const status = document.getElementById('see-also-status');
+        more.style.display = tab.exhausted || tab.resources.length === 0 ? 'none' : '';
+        more.disabled = Boolean(tab.loading);
+        // tab.total counts every resource of the type; in "shared" mode only
+        // those sharing values are listed, and there is no cheap count of them
+        status.textContent = this.seeAlsoMode === 'shared'
+            ? `${tab.resources.length.toLocaleString()} sharing values${tab.exhausted ? '' : ' so far'}`
+            : `${tab.resources.length.toLocaleString()} of ${tab.total.toLocaleString()}`;
     }
 
     /**
      * Show error message
      */
-    showError(message) {
+    showError(message, title = 'Error') {
         document.getElementById('loading').style.display = 'none';
+        document.getElementById('error-title').textContent = title;
         document.getElementById('error-message').textContent = message;
         document.getElementById('error').style.display = 'block';
     }
@@ -0,0 +1,356 @@
+/**
+ * Graph Tools - Persistent, shareable exploration state and graph exports
+ * The explored subgraph (expanded nodes, hidden nodes and node positions) is
+ * kept, compressed, in the URL fragment (#graph=...), so reloading the page
+ * or sending its URL restores the same view. Exports the explored subgraph
+ * as Turtle and the rendered graph as PNG or SVG.
+ */
+
+// URL fragment parameter holding the exploration state
+const STATE_PARAM = 'graph';
+
+// Delay after the last change before the fragment is rewritten
+const SAVE_DELAY = 300;
+
+// Margin around the nodes in SVG exports, in graph units
+const SVG_MARGIN = 60;
+
+let exploration = emptyExploration();
+let restoring = false;
+let saveTimer = null;
+
+function emptyExploration() {
+    return { expanded: [], hidden: [], positions: {} };
+}
+
+function isUnchanged(state) {
+    return state.expanded.length === 0 && state.hidden.length === 0 && Object.keys(state.positions).length === 0;
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Encode a state for the fragment: deflated JSON when the browser has
+ * CompressionStream ('z' marker), plain JSON otherwise ('j' marker)
+ */
+async function encodeState(state) {
+    const json = JSON.stringify({ v: 1, e: state.expanded, h: state.hidden, p: state.positions });
+    const bytes = new TextEncoder().encode(json);
+    if (typeof CompressionStream !== 'function') return 'j' + toBase64Url(bytes);
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return 'z' + toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+async function decodeState(text) {
+    let bytes = fromBase64Url(text.substring(1));
+    if (text[0] === 'z') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (text[0] !== 'j') {
+        throw new Error('unknown encoding');
+    }
+
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+    if (data.v !== 1) throw new Error(`unsupported version ${data.v}`);
+    return {
+        expanded: Array.isArray(data.e) ? data.e.filter(v => typeof v === 'string') : [],
+        hidden: Array.isArray(data.h) ? data.h.filter(v => typeof v === 'string') : [],
+        positions: data.p && typeof data.p === 'object' ? data.p : {}
+    };
+}
+
+/**
+ * Load the exploration state from the URL fragment, if any
+ */
+export async function loadExploration() {
+    exploration = emptyExploration();
+    const encoded = new URLSearchParams(window.location.hash.substring(1)).get(STATE_PARAM);
+    if (!encoded) return;
+
+    try {
+        exploration = await decodeState(encoded);
+    } catch (error) {
+        console.warn('Ignoring invalid graph state in the URL:', error);
+    }
+}
+
+function writeFragment(encoded) {
+    const url = window.location.pathname + window.location.search + (encoded ? `#${STATE_PARAM}=${encoded}` : '');
+    history.replaceState(history.state, '', url);
+}
+
+/**
+ * Capture node positions and write the state to the fragment
+ */
+async function saveExploration(plugin) {
+    clearTimeout(saveTimer);
+    if (!plugin || !plugin.network) return;
+
+    const hidden = new Set(exploration.hidden);
+    const nodes = plugin.nodesDataSet.get({ filter: node => !hidden.has(node.fullValue) });
+    const positions = plugin.network.getPositions(nodes.map(node => node.id));
+    exploration.positions = {};
+    nodes.forEach(node => {
+        const position = positions[node.id];
+        if (position) exploration.positions[node.fullValue] = [Math.round(position.x), Math.round(position.y)];
+    });
+
+    writeFragment(await encodeState(exploration));
+}
+
+/**
+ * Drop a pending save and the status line, before the graph of another
+ * resource is drawn; the save would write into that resource's URL
+ */
+export function discardExploration() {
+    clearTimeout(saveTimer);
+    exploration = emptyExploration();
+    setGraphStatus('');
+}
+
+function scheduleSave(plugin) {
+    if (restoring) return;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => saveExploration(plugin), SAVE_DELAY);
+}
+
+/**
+ * Record the nodes the user expands; wraps the plugin's expandNode once
+ */
+export function trackExpansions(plugin) {
+    const expand = plugin.expandNode.bind(plugin);
+    plugin.expandNode = async (uri) => {
+        await expand(uri);
+        if (!exploration.expanded.includes(uri)) exploration.expanded.push(uri);
+        scheduleSave(plugin);
+    };
+}
+
+/**
+ * Listen for layout changes and hiding on a freshly drawn network.
+ * Right-clicking a node hides it.
+ */
+export function trackLayout(plugin) {
+    const network = plugin.network;
+
+    network.on('dragEnd', (params) => {
+        if (params.nodes.length > 0) scheduleSave(plugin);
+    });
+
+    network.on('oncontext', (params) => {
+        const nodeId = network.getNodeAt(params.pointer.DOM);
+        if (nodeId === undefined) return;
+        params.event.preventDefault();
+
+        const node = plugin.nodesDataSet.get(nodeId);
+        plugin.nodesDataSet.update({ id: nodeId, hidden: true });
+        if (!exploration.hidden.includes(node.fullValue)) exploration.hidden.push(node.fullValue);
+        setGraphStatus(`${exploration.hidden.length} hidden node${exploration.hidden.length === 1 ? '' : 's'}`);
+        scheduleSave(plugin);
+    });
+
+    // Keep the settled layout once the user has changed something
+    network.on('stabilized', () => {
+        if (!isUnchanged(exploration)) scheduleSave(plugin);
+    });
+}
+
+/**
+ * Re-apply the loaded state: expand nodes in order, then hide nodes and pin
+ * them to their saved positions
+ */
+export async function restoreExploration(plugin) {
+    if (isUnchanged(exploration)) return;
+
+    restoring = true;
+    try {
+        for (const uri of [...exploration.expanded]) {
+            setGraphStatus(`Restoring view: expanding ${uri}`);
+            await plugin.expandNode(uri);
+        }
+
+        const hidden = new Set(exploration.hidden);
+        plugin.nodesDataSet.update(plugin.nodesDataSet.get().flatMap(node => {
+            const position = exploration.positions[node.fullValue];
+            const update = { id: node.id };
+            if (hidden.has(node.fullValue)) update.hidden = true;
+            if (Array.isArray(position)) {
+                Object.assign(update, { x: position[0], y: position[1], fixed: { x: true, y: true } });
+            }
+            return Object.keys(update).length > 1 ? [update] : [];
+        }));
+        plugin.network.fit({ maxZoomLevel: 3 });
+
+        setGraphStatus(`Restored view: ${exploration.expanded.length} expanded, ${exploration.hidden.length} hidden`);
+    } finally {
+        restoring = false;
+    }
+}
+
+function setGraphStatus(text) {
+    document.getElementById('graph-status').textContent = text;
+}
+
+/**
+ * The explored subgraph as N3.js quads, without the triples of hidden
+ * nodes. Blank nodes are recognized from the original quads and from the
+ * object types of expanded triples.
+ */
+export function subgraphQuads(plugin, originalQuads) {
+    const { namedNode, blankNode, literal, quad } = N3.DataFactory;
+
+    const blankNodes = new Set();
+    originalQuads.forEach(q => {
+        [q.subject, q.object].forEach(term => {
+            if (term.termType === 'BlankNode') blankNodes.add(term.value);
+        });
+    });
+    plugin.triples.forEach(t => {
+        if (t.object.type === 'bnode') blankNodes.add(t.object.value);
+    });
+
+    const hidden = new Set(exploration.hidden);
+    const resource = (value) => blankNodes.has(value) ? blankNode(value) : namedNode(value);
+
+    return plugin.triples
+        .filter(t => !hidden.has(t.subject) && !hidden.has(t.object.value))
+        .map(t => quad(
+            resource(t.subject),
+            namedNode(t.predicate),
+            t.object.type === 'literal'
+                ? literal(t.object.value, t.object.lang || (t.object.datatype ? namedNode(t.object.datatype) : undefined))
+                : resource(t.object.value)
+        ));
+}
+
+/**
+ * Background color of the graph canvas, as set by the plugin's theme
+ */
+function canvasBackground(plugin) {
+    return getComputedStyle(plugin.network.body.container).getPropertyValue('--yasgui-graph-canvas-bg').trim() || '#ffffff';
+}
+
+/**
+ * Render the visible nodes and edges as a standalone SVG document
+ */
+export function graphToSVG(plugin) {
+    const nodes = plugin.nodesDataSet.get({ filter: node => !node.hidden });
+    const nodeIds = new Set(nodes.map(node => node.id));
+    const edges = plugin.edgesDataSet.get({ filter: edge => !edge.hidden && nodeIds.has(edge.from) && nodeIds.has(edge.to) });
+    const positions = plugin.network.getPositions([...nodeIds]);
+
+    const xs = nodes.map(node => positions[node.id].x);
+    const ys = nodes.map(node => positions[node.id].y);
+    const minX = Math.min(...xs) - SVG_MARGIN;
+    const minY = Math.min(...ys) - SVG_MARGIN;
+    const width = Math.max(...xs) - minX + SVG_MARGIN;
+    const height = Math.max(...ys) - minY + SVG_MARGIN;
+
+    const colorOf = (node) => typeof node.color === 'object' && node.color !== null ? node.color.background : node.color || '#97c2fc';
+    const radiusOf = (node) => node.size || 10;
+    const number = (value) => Math.round(value * 10) / 10;
+
+    const lines = [];
+    edges.forEach(edge => {
+        const from = positions[edge.from];
+        const to = positions[edge.to];
+        const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+        const inset = radiusOf(plugin.nodesDataSet.get(edge.to)) + 2;
+        const endX = to.x - (to.x - from.x) * inset / length;
+        const endY = to.y - (to.y - from.y) * inset / length;
+        lines.push(`<line x1="${number(from.x)}" y1="${number(from.y)}" x2="${number(endX)}" y2="${number(endY)}" marker-end="url(#arrow)"><title>${escapeHTML(edge.predicate)}</title></line>`);
+        if (edge.label) {
+            lines.push(`<text class="edge-label" x="${number((from.x + to.x) / 2)}" y="${number((from.y + to.y) / 2)}">${escapeHTML(edge.label)}</text>`);
+        }
+    });
+    nodes.forEach(node => {
+        const { x, y } = positions[node.id];
+        lines.push(`<circle cx="${number(x)}" cy="${number(y)}" r="${radiusOf(node)}" fill="${escapeHTML(colorOf(node))}"><title>${escapeHTML(node.fullValue)}</title></circle>`);
+        if (node.label) {
+            lines.push(`<text class="node-label" x="${number(x)}" y="${number(y + radiusOf(node) + 12)}">${escapeHTML(node.label)}</text>`);
+        }
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="${number(minX)} ${number(minY)} ${number(width)} ${number(height)}" width="${Math.ceil(width)}" height="${Math.ceil(height)}">
+<defs>
+<marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#848484"/></marker>
+<style>line { stroke: #848484; stroke-width: 1; } text { font: 11px sans-serif; text-anchor: middle; fill: #212529; } .edge-label { font-size: 9px; fill: #6c757d; }</style>
+</defs>
+<rect x="${number(minX)}" y="${number(minY)}" width="${number(width)}" height="${number(height)}" fill="#ffffff"/>
+${lines.join('\n')}
+</svg>
+`;
+}
+
+/**
+ * Snapshot the graph canvas, on the theme's background, as a PNG blob
+ */
+export function graphToPNG(plugin) {
+    const source = plugin.network.body.container.querySelector('canvas');
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = canvasBackground(plugin);
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(source, 0, 0);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Wire the share, reset and export buttons under the graph
+ * @param {Object}   options
+ * @param {Function} options.getPlugin     - Current graph plugin instance
+ * @param {Function} options.getQuads      - Quads the graph was drawn from
+ * @param {Function} options.getFileName   - Base name for downloaded files
+ * @param {Function} options.redraw        - Redraw the graph from the resource's own triples
+ */
+export function setupGraphTools({ getPlugin, getQuads, getFileName, redraw }) {
+    const tools = document.getElementById('graph-tools');
+    if (tools.dataset.ready) return;
+    tools.dataset.ready = 'true';
+
+    const share = document.getElementById('graph-share');
+    share.addEventListener('click', async () => {
+        await saveExploration(getPlugin());
+        await navigator.clipboard.writeText(window.location.href);
+        const icon = share.querySelector('i');
+        icon.className = 'bi bi-check2';
+        setGraphStatus('Link to this view copied');
+        setTimeout(() => {
+            icon.className = 'bi bi-share';
+        }, 2000);
+    });
+
+    document.getElementById('graph-reset').addEventListener('click', async () => {
+        clearTimeout(saveTimer);
+        exploration = emptyExploration();
+        writeFragment(null);
+        setGraphStatus('');
+        await redraw();
+    });
+
+    document.getElementById('graph-export-turtle').addEventListener('click', async () => {
+        const text = await serializeQuads(subgraphQuads(getPlugin(), getQuads()), 'turtle', PREFIXES);
+        downloadText(text, EXPORT_FORMATS.turtle.mime, `${getFileName()}-graph.ttl`);
+    });
+
+    document.getElementById('graph-export-png').addEventListener('click', async () => {
+        downloadBlob(await graphToPNG(getPlugin()), `${getFileName()}-graph.png`);
+    });
+
+    document.getElementById('graph-export-svg').addEventListener('click', () => {
+        downloadText(graphToSVG(getPlugin()), 'image/svg+xml', `${getFileName()}-graph.svg`);
+    });
+}
@@ -1,12 +1,28 @@
 /**
  * Graph Viewer - Interactive RDF Graph using yasgui-graph-plugin
- * Renders an interactive graph for the dereferenced entity.
+ * Renders an interactive graph for the dereferenced entity, linked to the
+ * properties table and the map through the shared selection (selection.js).
+ * Exploration state and exports live in graph-tools.js.
  */
 
 import GraphPlugin from '/vendor/yasgui-graph-plugin/dist/yasgui-graph-plugin.esm.js';
+import { loadExploration, discardExploration, trackExpansions, trackLayout, restoreExploration, setupGraphTools } from '/assets/js/graph-tools.js';
 
 let graphPlugin = null;
 
+// Arguments of the last initializeGraph() call, to redraw on reset
+let graphArguments = null;
+
+// Local link rules of the app, see initializeGraph()
+let localLinkFor = () => null;
+let openLocalLink = (link) => { window.location.href = link; };
+
+// Edges styled as a connection path, with their original style
+let pathEdges = [];
+
+// Style of edges on a connection path (path-finder.js)
+const PATH_EDGE_STYLE = { color: { color: '#fd7e14', highlight: '#fd7e14', hover: '#fd7e14' }, width: 3 };
+
 /**
  * Convert N3.js quads to SPARQL-style binding objects expected by the graph plugin.
  */
@@ -31,16 +47,115 @@ function quadsToBindings(quads) {
     }));
 }
 
+/**
+ * Replace node and edge captions with resolved labels.
+ * Nodes the plugin renders as an icon or image keep their own caption.
+ *
+ * @param {Map<string,string|null>} labels - Resolved labels keyed by IRI
+ */
+function applyLabels(labels) {
+    if (!graphPlugin || !graphPlugin.nodesDataSet) return;
+
+    const truncate = (text) => text.length > 40 ? text.substring(0, 37) + '...' : text;
+
+    const nodeUpdates = graphPlugin.nodesDataSet.get()
+        .filter(node => node.uri && labels.get(node.uri) && node.shape !== 'text' && !node.image)
+        .map(node => ({ id: node.id, label: truncate(labels.get(node.uri)) }));
+    graphPlugin.nodesDataSet.update(nodeUpdates);
+
+    const edgeUpdates = graphPlugin.edgesDataSet.get()
+        .filter(edge => edge.label && labels.get(edge.predicate))
+        .map(edge => ({ id: edge.id, label: truncate(labels.get(edge.predicate)) }));
+    graphPlugin.edgesDataSet.update(edgeUpdates);
+}
+
+/**
+ * Replace the plugin's double-click expansion, which runs after every
+ * (re)draw: IRIs with a local link are opened in the app, other IRIs are
+ * still expanded in place, as is any node on Shift+double-click.
+ * Clicks publish the node or edge to the shared selection, and the saved
+ * exploration is re-applied to the new network.
+ */
+function setupNodeInteraction() {
+    const network = graphPlugin.network;
+    if (!network) return;
+
+    trackLayout(graphPlugin);
+    setTimeout(() => restoreExploration(graphPlugin), 0);
+
+    network.on('doubleClick', (params) => {
+        if (params.nodes.length === 0) return;
+        const node = graphPlugin.nodesDataSet.get(params.nodes[0]);
+        if (!node || !node.uri || node.uri.startsWith('_:')) return;
+
+        const localLink = localLinkFor(node.uri);
+        if (localLink && !params.event.srcEvent.shiftKey) {
+            openLocalLink(localLink);
+        } else {
+            graphPlugin.expandNode(node.uri);
+        }
+    });
+
+    network.on('click', (params) => {
+        if (params.nodes.length > 0) {
+            const node = graphPlugin.nodesDataSet.get(params.nodes[0]);
+            selection.select({ value: node.fullValue }, 'graph');
+        } else if (params.edges.length > 0) {
+            const edge = graphPlugin.edgesDataSet.get(params.edges[0]);
+            const target = graphPlugin.nodesDataSet.get(edge.to);
+            selection.select({ value: target.fullValue, predicate: edge.predicate }, 'graph');
+        } else {
+            selection.clear('graph');
+        }
+    });
+}
+
+/**
+ * Select the nodes and edges matching the active selection item; other
+ * views' items are also brought into view
+ */
+function highlightSelection(item, source) {
+    if (!graphPlugin || !graphPlugin.network) return;
+    const network = graphPlugin.network;
+
+    if (!item) {
+        network.unselectAll();
+        return;
+    }
+
+    const nodeIds = graphPlugin.nodesDataSet.get({ filter: node => node.fullValue === item.value }).map(node => node.id);
+    const edgeIds = item.predicate
+        ? graphPlugin.edgesDataSet.get({
+            filter: edge => edge.predicate === item.predicate && nodeIds.includes(edge.to)
+        }).map(edge => edge.id)
+        : [];
+    network.setSelection({ nodes: nodeIds, edges: edgeIds }, { highlightEdges: false });
+
+    if (source !== 'graph' && nodeIds.length > 0 && item === selection.selected) {
+        network.focus(nodeIds[0], { animation: true });
+    }
+}
+
+selection.subscribe(highlightSelection);
+
 /**
  * Initialize and render the graph from an array of N3.js quads.
  *
  * @param {import('n3').Quad[]} quads   - Parsed RDF triples
  * @param {string}              sparqlEndpoint - SPARQL endpoint URL for expansion
  * @param {Record<string,string>} prefixes     - Prefix map for label shortening
+ * @param {Map<string,string|null>} [labels]   - Resolved labels keyed by IRI
+ * @param {Object} [options]
+ * @param {(uri: string) => string|null} [options.linkFor] - Local app link for an IRI, null when external
+ * @param {(link: string) => void} [options.navigate]      - Open a local link in the app
+ * @param {(uri: string) => string|undefined} [options.endpointFor] - Endpoint of the dataset an IRI belongs to
+ * @param {string} [options.fileName]                      - Base name for exported files
  */
-async function initializeGraph(quads, sparqlEndpoint, prefixes) {
+async function initializeGraph(quads, sparqlEndpoint, prefixes, labels, options = {}) {
     const container = document.getElementById('graph-container');
     if (!container) return;
+    const args = [quads, sparqlEndpoint, prefixes, labels, options];
+    graphArguments = args;
 
     // Destroy previous instance if any
     if (graphPlugin) {
@@ -65,23 +180,96 @@ async function initializeGraph(quads, sparqlEndpoint, prefixes) {
         getPrefixes: () => invertedPrefixes,
 
         executeQuery: async (sparqlQuery, { acceptHeader, signal } = {}) => {
-            const params = new URLSearchParams({ query: sparqlQuery });
-            const response = await fetch(`${sparqlEndpoint}?${params}`, {
-                headers: { Accept: acceptHeader ?? 'text/turtle' },
-                signal,
-            });
-            if (!response.ok) {
-                throw new Error(`SPARQL expansion failed: ${response.statusText}`);
-            }
-            return response;
+            // The plugin writes node IRIs into its DESCRIBE unchecked: refuse malformed ones
+            const described = /^\s*DESCRIBE\s+<(.*)>\s*$/is.exec(sparqlQuery);
+            if (described) sparqlIRI(described[1]);
+
+            // Expand nodes of other datasets on their own endpoint
+            const endpoint = (described && options.endpointFor && options.endpointFor(described[1])) || sparqlEndpoint;
+            // The plugin parses the returned RDF text itself
+            return new SPARQLClient(endpoint).fetchText(sparqlQuery, acceptHeader ?? 'text/turtle', { signal });
         },
     };
 
+    localLinkFor = options.linkFor || (() => null);
+    openLocalLink = options.navigate || ((link) => { window.location.href = link; });
+    await loadExploration();
+    // Another resource was opened meanwhile (also checked after drawing)
+    if (graphArguments !== args) return;
+
     graphPlugin = new GraphPlugin(mockYasr);
+    graphPlugin.setupNodeExpansion = setupNodeInteraction;
+    trackExpansions(graphPlugin);
     await graphPlugin.draw();
+    if (graphArguments !== args) return;
+
+    if (labels) {
+        applyLabels(labels);
+    }
+
+    setupGraphTools({
+        getPlugin: () => graphPlugin,
+        getQuads: () => graphArguments[0],
+        getFileName: () => graphArguments[4].fileName || 'graph',
+        redraw: () => initializeGraph(...graphArguments),
+    });
 
     document.getElementById('graph-section').style.display = 'block';
 }
 
-// Expose function globally so dereferencer.js (non-module) can call it
+/**
+ * Add connection paths to the graph, emphasize their edges and fit the view
+ * to them. Edges of the previous paths get their own style back.
+ *
+ * @param {import('n3').Quad[]} quads        - Triples along the paths
+ * @param {Map<string,string|null>} [labels] - Resolved labels keyed by IRI
+ */
+function showGraphPaths(quads, labels) {
+    if (!graphPlugin || !graphPlugin.triples) return;
+
+    const key = (subject, predicate, object) => `${subject}|${predicate}|${object}`;
+    const existing = new Set(graphPlugin.triples.map(t => key(t.subject, t.predicate, t.object.value)));
+    const added = quads
+        .filter(q => !existing.has(key(q.subject.value, q.predicate.value, q.object.value)))
+        .map(q => ({ subject: q.subject.value, predicate: q.predicate.value, object: { value: q.object.value, type: 'uri' } }));
+    if (added.length > 0) {
+        graphPlugin.triples = [...graphPlugin.triples, ...added];
+        graphPlugin.mergeNewTriples();
+    }
+    if (labels) {
+        applyLabels(labels);
+    }
+
+    graphPlugin.edgesDataSet.update(pathEdges.filter(edge => graphPlugin.edgesDataSet.get(edge.id)));
+
+    const onPath = new Set(quads.map(q => key(q.subject.value, q.predicate.value, q.object.value)));
+    const nodeValue = (id) => graphPlugin.nodesDataSet.get(id).fullValue;
+    const edges = graphPlugin.edgesDataSet.get({
+        filter: edge => onPath.has(key(nodeValue(edge.from), edge.predicate, nodeValue(edge.to)))
+    });
+    pathEdges = edges.map(edge => ({ id: edge.id, color: edge.color || null, width: edge.width || 1 }));
+    graphPlugin.edgesDataSet.update(edges.map(edge => ({ id: edge.id, ...PATH_EDGE_STYLE })));
+
+    const nodeIds = [...new Set(edges.flatMap(edge => [edge.from, edge.to]))];
+    graphPlugin.nodesDataSet.update(nodeIds.map(id => ({ id, hidden: false })));
+    graphPlugin.network.fit({ nodes: nodeIds, animation: true });
+}
+
+/**
+ * Remove the graph before another resource is shown
+ */
+function resetGraph() {
+    discardExploration();
+    if (graphPlugin) {
+        graphPlugin.destroy();
+        graphPlugin = null;
+    }
+    graphArguments = null;
+    pathEdges = [];
+    document.getElementById('graph-section').style.display = 'none';
+}
+
+// Expose functions globally so dereferencer.js (non-module) can call them
 window.initializeGraph = initializeGraph;
+window.showGraphPaths = showGraphPaths;
+window.resetGraph = resetGraph;
@@ -0,0 +1,401 @@
+/**
+ * Landing Page - Entry point at the root path
+ * Full-text label search with type-ahead suggestions and a class browser
+ * with paged instance lists. Reuses the dereferencer's SPARQL, label and
+ * local-link helpers so results open in the dereferencer.
+ */
+
+// Number of suggestions shown while typing
+const SUGGESTION_LIMIT = 8;
+
+// Number of results on the search results list
+const SEARCH_RESULT_LIMIT = 50;
+
+// Number of instances per page in the class instance list
+const INSTANCE_PAGE_SIZE = 50;
+
+// Delay before firing a type-ahead query (ms)
+const SUGGESTION_DEBOUNCE = 250;
+
+class LandingPage {
+    /**
+     * @param {URIDereferencer} dereferencer - App instance providing query and display helpers
+     */
+    constructor(dereferencer) {
+        this.app = dereferencer;
+        this.suggestionTimer = null;
+        this.suggestionRequest = 0;
+    }
+
+    /**
+     * Show the landing page; `?q=` runs a search, `?class=` (with `&page=`)
+     * lists the instances of a class
+     */
+    async init() {
+        this.show();
+
+        const params = new URLSearchParams(window.location.search);
+        const query = params.get('q');
+        const classURI = params.get('class');
+
+        this.setupSearch(query);
+
+        if (query) {
+            await this.runSearch(query);
+        }
+
+        if (classURI) {
+            await this.loadInstances(classURI, Math.max(parseInt(params.get('page'), 10) || 1, 1));
+        }
+
+        await this.loadClasses();
+    }
+
+    /**
+     * Show the landing page as it was left, e.g. on going back to it
+     */
+    show() {
+        document.getElementById('resource').style.display = 'none';
+        document.getElementById('loading').style.display = 'none';
+        document.getElementById('search-suggestions').style.display = 'none';
+        document.getElementById('landing').style.display = 'block';
+        document.title = 'URI Dereferencer';
+    }
+
+    /**
+     * Build a label search query for CONFIG.SEARCH_MODE:
+     * 'contains' (case-insensitive substring), 'regex' or 'text' (Jena text index)
+     */
+    buildSearchQuery(text, limit) {
+        const properties = sparqlIRIs(CONFIG.LABEL_PROPERTIES);
+
+        if (CONFIG.SEARCH_MODE === 'text') {
+            const lucene = text.trim()
+                .replace(/([+\-!(){}[\]^"~*?:\\/]|&&|\|\|)/g, '\\$1')
+                .split(/\s+/)
+                .map(word => word + '*')
+                .join(' AND ');
+            return `
+                PREFIX text: <http://jena.apache.org/text#>
+                SELECT DISTINCT ?resource ?label WHERE {
+                    (?resource ?score ?label) text:query (${sparqlString(lucene)} ${limit * 4}) .
+                    FILTER(isIRI(?resource))
+                }
+                ORDER BY DESC(?score)
+                LIMIT ${limit}
+            `;
+        }
+
+        const filter = CONFIG.SEARCH_MODE === 'regex'
+            ? `REGEX(STR(?label), ${sparqlString(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))}, "i")`
+            : `CONTAINS(LCASE(STR(?label)), ${sparqlString(text.toLowerCase())})`;
+
+        return `
+            SELECT DISTINCT ?resource ?label WHERE {
+                VALUES ?property { ${properties} }
+                ?resource ?property ?label .
+                FILTER(isIRI(?resource) && ${filter})
+            }
+            ORDER BY STRLEN(STR(?label)) ?label
+            LIMIT ${limit}
+        `;
+    }
+
+    /**
+     * Run a label search; returns [{ uri, label }] with one entry per resource
+     */
+    async search(text, limit) {
+        const bindings = await this.app.executeSelectQuery(this.buildSearchQuery(text, limit));
+        const results = new Map();
+        bindings.forEach(b => {
+            if (!results.has(b.resource.value)) {
+                results.set(b.resource.value, { uri: b.resource.value, label: b.label.value });
+            }
+        });
+        return [...results.values()];
+    }
+
+    /**
+     * Wire the search box: debounced type-ahead suggestions and keyboard navigation
+     */
+    setupSearch(initialQuery) {
+        const input = document.getElementById('search-input');
+        const suggestions = document.getElementById('search-suggestions');
+
+        if (initialQuery) {
+            input.value = initialQuery;
+        }
+
+        input.addEventListener('input', () => {
+            clearTimeout(this.suggestionTimer);
+            const text = input.value.trim();
+            if (text.length < 2) {
+                suggestions.style.display = 'none';
+                return;
+            }
+            this.suggestionTimer = setTimeout(() => this.showSuggestions(text), SUGGESTION_DEBOUNCE);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            const first = suggestions.querySelector('a');
+            if (suggestions.style.display === 'none' || !first) return;
+
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                first.focus();
+            } else if (e.key === 'Escape') {
+                suggestions.style.display = 'none';
+            }
+        });
+
+        suggestions.addEventListener('keydown', (e) => {
+            const items = [...suggestions.querySelectorAll('a')];
+            const current = items.indexOf(document.activeElement);
+            if (e.key === 'ArrowDown' && current < items.length - 1) {
+                e.preventDefault();
+                items[current + 1].focus();
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                (current > 0 ? items[current - 1] : input).focus();
+            } else if (e.key === 'Escape') {
+                suggestions.style.display = 'none';
+                input.focus();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#search-form')) {
+                suggestions.style.display = 'none';
+            }
+        });
+    }
+
+    /**
+     * Fetch and show type-ahead suggestions; stale responses are dropped
+     */
+    async showSuggestions(text) {
+        const suggestions = document.getElementById('search-suggestions');
+        const request = ++this.suggestionRequest;
+
+        let results;
+        try {
+            results = await this.search(text, SUGGESTION_LIMIT);
+        } catch (error) {
+            console.error('Error loading suggestions:', error);
+            return;
+        }
+        if (request !== this.suggestionRequest) return;
+
+        suggestions.innerHTML = '';
+        results.forEach(result => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item p-0';
+            item.appendChild(this.createResultLink(result, 'search-suggestion'));
+            suggestions.appendChild(item);
+        });
+        suggestions.style.display = results.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Run a full search and render the results list
+     */
+    async runSearch(text) {
+        const section = document.getElementById('search-results');
+        const list = document.getElementById('search-results-list');
+        section.style.display = 'block';
+        list.innerHTML = '<li class="list-group-item text-muted">Searching...</li>';
+
+        try {
+            const results = await this.search(text, SEARCH_RESULT_LIMIT);
+            list.innerHTML = '';
+
+            if (results.length === 0) {
+                list.innerHTML = '<li class="list-group-item text-muted">No resources found.</li>';
+                return;
+            }
+
+            results.forEach(result => {
+                const item = document.createElement('li');
+                item.className = 'list-group-item';
+                item.appendChild(this.createResultLink(result, 'resource-link'));
+                list.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error searching:', error);
+            list.innerHTML = '';
+            const item = document.createElement('li');
+            item.className = 'list-group-item text-danger';
+            item.textContent = `Search failed: ${error.message}`;
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Build a link to a search result: label plus prefixed IRI
+     */
+    createResultLink(result, className) {
+        const link = document.createElement('a');
+        const localLink = this.app.makeLocalLink(result.uri);
+        link.className = className;
+        link.title = result.uri;
+        link.href = localLink || externalHref(result.uri);
+        if (!localLink) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+
+        const label = document.createElement('span');
+        label.className = 'search-result-label';
+        label.textContent = result.label;
+        link.appendChild(label);
+
+        const iri = document.createElement('span');
+        iri.className = 'search-result-iri';
+        iri.textContent = this.app.shortenURI(result.uri);
+        link.appendChild(iri);
+
+        return link;
+    }
+
+    /**
+     * Load all classes in the dataset with their instance counts
+     */
+    async loadClasses() {
+        const classQuery = `
+            SELECT ?class (COUNT(DISTINCT ?instance) AS ?count) WHERE {
+                ?instance a ?class .
+            }
+            GROUP BY ?class
+            ORDER BY DESC(?count)
+        `;
+
+        try {
+            const bindings = await this.app.executeSelectQuery(classQuery);
+            const classes = bindings
+                .filter(b => b.class.type === 'uri')
+                .map(b => ({ uri: b.class.value, count: parseInt(b.count.value, 10) }));
+
+            await this.app.loadLabels(classes.map(c => c.uri));
+            this.renderClasses(classes);
+        } catch (error) {
+            console.error('Error loading classes:', error);
+            document.getElementById('classes-loading').textContent = `Could not load classes: ${error.message}`;
+        }
+    }
+
+    /**
+     * Render the class browser table
+     */
+    renderClasses(classes) {
+        document.getElementById('classes-loading').style.display = 'none';
+        const tbody = document.getElementById('classes-tbody');
+        tbody.innerHTML = '';
+
+        classes.forEach(cls => {
+            const row = document.createElement('tr');
+
+            const classCell = document.createElement('td');
+            const link = document.createElement('a');
+            link.className = 'value-uri';
+            link.href = `/?class=${encodeURIComponent(cls.uri)}`;
+            link.title = cls.uri;
+            link.textContent = this.app.displayName(cls.uri);
+            classCell.appendChild(link);
+            row.appendChild(classCell);
+
+            const countCell = document.createElement('td');
+            countCell.className = 'text-end';
+            countCell.textContent = cls.count.toLocaleString();
+            row.appendChild(countCell);
+
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('classes-table').style.display = classes.length > 0 ? 'table' : 'none';
+    }
+
+    /**
+     * Load one page of instances of a class, with a total count for the pager
+     */
+    async loadInstances(classURI, page) {
+        const section = document.getElementById('class-instances');
+        const list = document.getElementById('class-instances-list');
+        section.style.display = 'block';
+        list.innerHTML = '<li class="list-group-item text-muted">Loading...</li>';
+
+        try {
+            const countQuery = `
+                SELECT (COUNT(DISTINCT ?instance) AS ?count) WHERE {
+                    ?instance a ${sparqlIRI(classURI)} .
+                }
+            `;
+            const instanceQuery = `
+                SELECT DISTINCT ?instance WHERE {
+                    ?instance a ${sparqlIRI(classURI)} .
+                }
+                ORDER BY ?instance
+                LIMIT ${INSTANCE_PAGE_SIZE}
+                OFFSET ${(page - 1) * INSTANCE_PAGE_SIZE}
+            `;
+
+            const [countBindings, instanceBindings] = await Promise.all([
+                this.app.executeSelectQuery(countQuery),
+                this.app.executeSelectQuery(instanceQuery)
+            ]);
+            const total = countBindings.length > 0 ? parseInt(countBindings[0].count.value, 10) : 0;
+            const instances = instanceBindings.map(b => termFromBinding(b.instance));
+
+            await this.app.loadLabels([classURI, ...instances.filter(i => i.termType === 'NamedNode').map(i => i.value)]);
+
+            const title = document.getElementById('class-instances-title');
+            title.textContent = this.app.displayName(classURI);
+            title.title = classURI;
+            document.getElementById('class-instances-count').textContent = total.toLocaleString();
+
+            list.innerHTML = '';
+            instances.forEach(instance => {
+                const item = document.createElement('li');
+                item.className = 'list-group-item';
+                item.appendChild(this.app.formatValue(instance));
+                list.appendChild(item);
+            });
+
+            this.renderPager(classURI, page, total);
+        } catch (error) {
+            console.error('Error loading instances:', error);
+            list.innerHTML = '';
+            const item = document.createElement('li');
+            item.className = 'list-group-item text-danger';
+            item.textContent = `Could not load instances: ${error.message}`;
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Render previous/next links for the instance list
+     */
+    renderPager(classURI, page, total) {
+        const pager = document.getElementById('class-instances-pager');
+        pager.innerHTML = '';
+
+        const pageCount = Math.max(Math.ceil(total / INSTANCE_PAGE_SIZE), 1);
+        const first = total === 0 ? 0 : (page - 1) * INSTANCE_PAGE_SIZE + 1;
+        const last = Math.min(page * INSTANCE_PAGE_SIZE, total);
+
+        const makePageLink = (targetPage, html, disabled) => {
+            const link = document.createElement('a');
+            link.className = `btn btn-sm btn-outline-secondary${disabled ? ' disabled' : ''}`;
+            link.href = `/?class=${encodeURIComponent(classURI)}&page=${targetPage}`;
+            link.innerHTML = html;
+            return link;
+        };
+
+        const status = document.createElement('span');
+        status.className = 'small text-muted';
+        status.textContent = `${first.toLocaleString()}–${last.toLocaleString()} of ${total.toLocaleString()}`;
+
+        pager.appendChild(makePageLink(page - 1, '<i class="bi bi-chevron-left"></i>', page <= 1));
+        pager.appendChild(status);
+        pager.appendChild(makePageLink(page + 1, '<i class="bi bi-chevron-right"></i>', page >= pageCount));
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * Literal Renderer - Datatype-aware display of RDF literals
+ * Localized dates, durations and numbers, boolean badges, sanitized rdf:HTML,
+ * pretty-printed rdf:JSON and lexical-form validation for common XSD datatypes
+ */
+
+// Literals longer than this are collapsed behind "show more"
+const LONG_LITERAL_LENGTH = 300;
+
+const QUDT_UNIT_NS = 'http://qudt.org/vocab/unit/';
+
+const INTEGER_TYPES = [
+    'integer', 'int', 'long', 'short', 'byte',
+    'nonNegativeInteger', 'positiveInteger', 'nonPositiveInteger', 'negativeInteger',
+    'unsignedInt', 'unsignedLong', 'unsignedShort', 'unsignedByte'
+].map(t => NS.XSD + t);
+
+const NUMERIC_TYPES = [...INTEGER_TYPES, NS.XSD + 'decimal', NS.XSD + 'double', NS.XSD + 'float'];
+
+const TIMEZONE = '(Z|[+-]\\d{2}:\\d{2})?';
+const FLOATING = /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/;
+
+// Lexical space of each supported datatype
+const LEXICAL_PATTERNS = {
+    [NS.XSD + 'boolean']: /^(true|false|1|0)$/,
+    [NS.XSD + 'decimal']: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+    [NS.XSD + 'double']: FLOATING,
+    [NS.XSD + 'float']: FLOATING,
+    [NS.XSD + 'nonNegativeInteger']: /^\+?\d+$/,
+    [NS.XSD + 'positiveInteger']: /^\+?0*[1-9]\d*$/,
+    [NS.XSD + 'nonPositiveInteger']: /^(-\d+|[+-]?0+)$/,
+    [NS.XSD + 'negativeInteger']: /^-0*[1-9]\d*$/,
+    [NS.XSD + 'date']: new RegExp(`^-?\\d{4,}-\\d{2}-\\d{2}${TIMEZONE}$`),
+    [NS.XSD + 'dateTime']: new RegExp(`^-?\\d{4,}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?${TIMEZONE}$`),
+    [NS.XSD + 'gYear']: new RegExp(`^-?\\d{4,}${TIMEZONE}$`),
+    [NS.XSD + 'duration']: /^-?P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/
+};
+INTEGER_TYPES.forEach(t => {
+    if (!LEXICAL_PATTERNS[t]) LEXICAL_PATTERNS[t] = /^[+-]?\d+$/;
+});
+
+const DURATION_UNITS = [
+    ['Y', 'year'], ['M', 'month'], ['D', 'day'],
+    ['H', 'hour'], ['TM', 'minute'], ['S', 'second']
+];
+
+// Elements and attributes kept when rendering rdf:HTML
+const HTML_ALLOWED_TAGS = new Set([
+    'A', 'ABBR', 'B', 'BLOCKQUOTE', 'BR', 'CODE', 'DD', 'DIV', 'DL', 'DT', 'EM',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'I', 'LI', 'OL', 'P', 'PRE', 'S',
+    'SPAN', 'STRONG', 'SUB', 'SUP', 'TABLE', 'TBODY', 'TD', 'TH', 'THEAD', 'TR', 'U', 'UL'
+]);
+const HTML_DROPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'FORM', 'INPUT', 'BUTTON',
+    'TEXTAREA', 'SELECT', 'LINK', 'META', 'SVG', 'MATH', 'TEMPLATE'
+]);
+const HTML_ALLOWED_ATTRIBUTES = new Set(['href', 'title', 'lang']);
+
+function preferredLocales() {
+    return navigator.languages && navigator.languages.length ? navigator.languages : undefined;
+}
+
+/**
+ * Check a literal's lexical form against its datatype.
+ * Unknown datatypes are always considered valid.
+ */
+function isValidLexicalForm(value, datatype) {
+    const pattern = LEXICAL_PATTERNS[datatype];
+    if (!pattern) return true;
+    if (!pattern.test(value)) return false;
+
+    if (datatype === NS.XSD + 'date' || datatype === NS.XSD + 'dateTime') {
+        const [month, day] = value.match(/^-?\d{4,}-(\d{2})-(\d{2})/).slice(1).map(Number);
+        const daysInMonth = new Date(Date.UTC(2000, month, 0)).getUTCDate();
+        return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth;
+    }
+    return true;
+}
+
+/**
+ * Format an xsd:date, ignoring its timezone (a date is not an instant)
+ */
+function formatDate(value) {
+    if (value.startsWith('-')) return value;
+    const date = new Date(value.substring(0, value.indexOf('-', 4) + 6) + 'T00:00:00Z');
+    if (isNaN(date)) return value;
+    return new Intl.DateTimeFormat(preferredLocales(), { dateStyle: 'medium', timeZone: 'UTC' }).format(date);
+}
+
+/**
+ * Format an xsd:dateTime in the viewer's timezone; values without
+ * a timezone are shown as-is in local time
+ */
+function formatDateTime(value) {
+    if (value.startsWith('-')) return value;
+    const date = new Date(value);
+    if (isNaN(date)) return value;
+    return new Intl.DateTimeFormat(preferredLocales(), { dateStyle: 'medium', timeStyle: 'medium' }).format(date);
+}
+
+/**
+ * Format an xsd:duration as localized unit parts, e.g. "2 days, 3 hours"
+ */
+function formatDuration(value) {
+    const negative = value.startsWith('-');
+    const [datePart, timePart = ''] = value.replace(/^-?P/, '').split('T');
+
+    const amounts = {};
+    datePart.replace(/(\d+)([YMD])/g, (_, n, unit) => { amounts[unit] = Number(n); });
+    timePart.replace(/(\d+(?:\.\d+)?)([HMS])/g, (_, n, unit) => { amounts[unit === 'M' ? 'TM' : unit] = Number(n); });
+
+    const parts = DURATION_UNITS
+        .filter(([key]) => amounts[key])
+        .map(([key, unit]) => new Intl.NumberFormat(preferredLocales(), {
+            style: 'unit', unit, unitDisplay: 'long'
+        }).format(amounts[key]));
+
+    if (parts.length === 0) return value;
+    return (negative ? '- ' : '') + parts.join(', ');
+}
+
+// Whether Intl.NumberFormat formats decimal strings exactly (ES2023); older
+// engines turn them into a Number first, which keeps ~15 significant digits
+const EXACT_NUMBER_FORMAT = new Intl.NumberFormat('en', { useGrouping: false })
+    .format('9007199254740993') === '9007199254740993';
+
+/**
+ * Format a numeric literal, keeping the precision written in the lexical form:
+ * the lexical string itself is formatted, or shown as it is when the browser
+ * could only format it as a rounded Number or it has more than the 20
+ * fraction digits Intl.NumberFormat shows
+ */
+function formatNumber(value) {
+    if (!/^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(value)) return value;
+    const fraction = value.match(/\.(\d+)/);
+    const exponent = /[eE]/.test(value);
+    const fractionDigits = fraction ? fraction[1].length : 0;
+    const significant = value.replace(/[eE].*$/, '').replace(/\D/g, '').replace(/^0+/, '').length;
+    if ((!EXACT_NUMBER_FORMAT && significant > 15) || (!exponent && fractionDigits > 20)) return value;
+    return new Intl.NumberFormat(preferredLocales(), {
+        maximumFractionDigits: exponent ? 6 : fractionDigits
+    }).format(value);
+}
+
+/**
+ * Parse rdf:HTML into a fragment holding only allow-listed elements
+ * and attributes; links are restricted to http(s) and mailto
+ */
+function sanitizeHTML(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const fragment = document.createDocumentFragment();
+
+    function copy(source, target) {
+        source.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                target.appendChild(document.createTextNode(child.textContent));
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                if (HTML_DROPPED_TAGS.has(child.tagName)) return;
+                if (!HTML_ALLOWED_TAGS.has(child.tagName)) {
+                    // Unknown element: keep its content only
+                    copy(child, target);
+                    return;
+                }
+                const element = document.createElement(child.tagName.toLowerCase());
+                Array.from(child.attributes).forEach(attr => {
+                    if (!HTML_ALLOWED_ATTRIBUTES.has(attr.name)) return;
+                    if (attr.name === 'href' && !/^(https?:|mailto:)/i.test(attr.value.trim())) return;
+                    element.setAttribute(attr.name, attr.value);
+                });
+                if (element.tagName === 'A') {
+                    element.target = '_blank';
+                    element.rel = 'noopener noreferrer';
+                }
+                copy(child, element);
+                target.appendChild(element);
+            }
+        });
+    }
+
+    copy(doc.body, fragment);
+    return fragment;
+}
+
+/**
+ * Render a typed literal, or return null when its datatype has no
+ * special rendering (or its lexical form is invalid)
+ */
+function formatTypedLiteral(node) {
+    const datatype = node.datatype ? node.datatype.value : null;
+    if (!datatype || !isValidLexicalForm(node.value, datatype)) return null;
+
+    if (datatype === NS.XSD + 'boolean') {
+        const isTrue = node.value === 'true' || node.value === '1';
+        const badge = document.createElement('span');
+        badge.className = `badge ${isTrue ? 'bg-success' : 'bg-secondary'} value-boolean`;
+        badge.textContent = isTrue ? 'true' : 'false';
+        return badge;
+    }
+
+    if (datatype === NS.RDF + 'HTML') {
+        const container = document.createElement('div');
+        container.className = 'value-html';
+        container.appendChild(sanitizeHTML(node.value));
+        return container;
+    }
+
+    if (datatype === NS.RDF + 'JSON') {
+        let pretty;
+        try {
+            pretty = JSON.stringify(JSON.parse(node.value), null, 2);
+        } catch (e) {
+            return null;
+        }
+        const pre = document.createElement('pre');
+        pre.className = 'value-json';
+        pre.textContent = pretty;
+        return pre;
+    }
+
+    let text = null;
+    if (datatype === NS.XSD + 'date') {
+        text = formatDate(node.value);
+    } else if (datatype === NS.XSD + 'dateTime') {
+        text = formatDateTime(node.value);
+    } else if (datatype === NS.XSD + 'gYear') {
+        text = node.value;
+    } else if (datatype === NS.XSD + 'duration') {
+        text = formatDuration(node.value);
+    } else if (NUMERIC_TYPES.includes(datatype) || datatype.startsWith(QUDT_UNIT_NS)) {
+        text = formatNumber(node.value);
+    }
+
+    if (text === null) return null;
+
+    const span = document.createElement('span');
+    span.className = 'value-literal';
+    span.textContent = text;
+    if (text !== node.value) {
+        span.title = node.value;
+    }
+    return span;
+}
@@ -0,0 +1,340 @@
+/**
+ * Map Tools - Measurement, vertex inspector and geometry export
+ * Works on the geometries drawn by map-viewer.js (displayedGeometries)
+ */
+
+// Active measurement: { mode: 'distance' | 'area', points }
+let measurement = null;
+
+// Drawing of the current or last measurement
+let measurementLayer = null;
+
+// Vertex markers of the displayed geometries, when the inspector is on
+let vertexLayer = null;
+
+// Base name for exported files
+let mapExportName = 'geometry';
+
+const GEOMETRY_EXPORT_FORMATS = {
+    geojson: { mime: 'application/geo+json', extension: 'geojson' },
+    kml:     { mime: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+    wkt:     { mime: 'text/plain', extension: 'wkt' }
+};
+
+/**
+ * Show the map toolbar and wire its controls (once)
+ * @param {string} fileName - Base name for exported files
+ */
+async function initializeMapTools(fileName) {
+    mapExportName = fileName;
+    const toolbar = document.getElementById('map-tools');
+    toolbar.style.display = 'block';
+
+    if (toolbar.dataset.ready) return;
+    toolbar.dataset.ready = 'true';
+
+    document.getElementById('map-measure-distance').addEventListener('click', () => toggleMeasurement('distance'));
+    document.getElementById('map-measure-area').addEventListener('click', () => toggleMeasurement('area'));
+    document.getElementById('map-vertices').addEventListener('click', toggleVertexInspector);
+
+    const formatSelect = document.getElementById('map-export-format');
+    const crsSelect = document.getElementById('map-export-crs');
+    formatSelect.addEventListener('change', () => {
+        // KML coordinates are always WGS 84 longitude/latitude
+        crsSelect.disabled = formatSelect.value === 'kml';
+        if (crsSelect.disabled) crsSelect.value = '';
+    });
+    document.getElementById('map-export').addEventListener('click', () => {
+        exportGeometries(formatSelect.value, crsSelect.value);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && measurement) stopMeasurement();
+    });
+
+    // Export CRS choices from the registry
+    const registry = await loadCRSRegistry();
+    Object.entries(registry).forEach(([key, entry]) => {
+        if (key.startsWith('OGC:CRS84')) return;
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = `${key} – ${entry.name}`;
+        crsSelect.appendChild(option);
+    });
+}
+
+/**
+ * Start a distance or area measurement, or stop the running one
+ */
+function toggleMeasurement(mode) {
+    const restart = !measurement || measurement.mode !== mode;
+    stopMeasurement();
+    clearMeasurementResult();
+    if (!restart) return;
+
+    measurement = { mode, points: [] };
+    measurementLayer = L.featureGroup().addTo(map);
+    document.getElementById(`map-measure-${mode}`).classList.add('active');
+    map.getContainer().classList.add('map-measuring');
+    map.doubleClickZoom.disable();
+    map.on('click', addMeasurementPoint);
+    map.on('dblclick', stopMeasurement);
+    setMeasurementResult(mode === 'distance'
+        ? 'Click to add points, double-click to finish'
+        : 'Click to add corners, double-click to finish');
+}
+
+/**
+ * Finish the running measurement; its drawing stays until the next one
+ */
+function stopMeasurement() {
+    if (!measurement) return;
+    document.getElementById(`map-measure-${measurement.mode}`).classList.remove('active');
+    map.getContainer().classList.remove('map-measuring');
+    map.doubleClickZoom.enable();
+    map.off('click', addMeasurementPoint);
+    map.off('dblclick', stopMeasurement);
+    measurement = null;
+}
+
+function addMeasurementPoint(e) {
+    // The second click of the finishing double-click lands on the same spot
+    const last = measurement.points[measurement.points.length - 1];
+    if (last && last.equals(e.latlng)) return;
+    measurement.points.push(e.latlng);
+    drawMeasurement();
+}
+
+/**
+ * Redraw the measured line or polygon and its result
+ */
+function drawMeasurement() {
+    const { mode, points } = measurement;
+    const layer = measurementLayer;
+    layer.clearLayers();
+
+    const style = { color: '#212529', weight: 2, dashArray: '6 4', fillOpacity: 0.1 };
+    if (mode === 'area' && points.length > 2) {
+        L.polygon(points, style).addTo(layer);
+    } else if (points.length > 1) {
+        L.polyline(points, style).addTo(layer);
+    }
+    points.forEach(point => {
+        L.circleMarker(point, { radius: 3, color: '#212529', weight: 1, fillOpacity: 1 }).addTo(layer);
+    });
+
+    const positions = points.map(p => [p.lng, p.lat]);
+    if (mode === 'distance') {
+        setMeasurementResult(`Distance: ${formatLength(geodesicLength(positions))}`);
+    } else if (points.length > 2) {
+        const ring = [...positions, positions[0]];
+        setMeasurementResult(`Area: ${formatArea(geodesicArea(ring))} · Perimeter: ${formatLength(geodesicLength(ring))}`);
+    }
+}
+
+function setMeasurementResult(text) {
+    document.getElementById('map-measure-result').textContent = text;
+}
+
+/**
+ * Remove the previous measurement drawing and result
+ */
+function clearMeasurementResult() {
+    if (measurementLayer) {
+        map.removeLayer(measurementLayer);
+        measurementLayer = null;
+    }
+    setMeasurementResult('');
+}
+
+/**
+ * End the measurement and hide the vertices of the previous resource
+ */
+function resetMapTools() {
+    stopMeasurement();
+    clearMeasurementResult();
+    if (vertexLayer) toggleVertexInspector();
+}
+
+/**
+ * Show or hide markers on every vertex of the displayed geometries; each
+ * marker shows its coordinates in the geometry's native CRS
+ */
+function toggleVertexInspector() {
+    const button = document.getElementById('map-vertices');
+
+    if (vertexLayer) {
+        map.removeLayer(vertexLayer);
+        vertexLayer = null;
+        button.classList.remove('active');
+        return;
+    }
+
+    vertexLayer = L.featureGroup().addTo(map);
+    button.classList.add('active');
+
+    displayedGeometries.forEach(geometry => {
+        if (!map.hasLayer(geometry.layer)) return;
+
+        const nativePositions = collectPositions(geometry.native);
+        const crsLabel = geometry.crs || 'CRS84';
+        collectPositions(geometry.geojson).forEach((position, index) => {
+            const native = nativePositions[index];
+            const marker = L.circleMarker([position[1], position[0]], {
+                radius: 4,
+                color: geometry.color,
+                weight: 1,
+                fillColor: '#fff',
+                fillOpacity: 1
+            });
+            marker.bindTooltip(`#${index + 1}: ${native.join(', ')}`, { direction: 'top' });
+            marker.bindPopup(
+                `<strong>${escapeHTML(geometry.name)}</strong> vertex ${index + 1}<br>` +
+                `${escapeHTML(crsLabel)}: ${native.map(escapeHTML).join(', ')}<br>` +
+                `WGS 84: ${position[1].toFixed(7)}, ${position[0].toFixed(7)} (lat, lon)`
+            );
+            marker.addTo(vertexLayer);
+        });
+    });
+}
+
+/**
+ * Flatten the positions of any GeoJSON object, in document order
+ */
+function collectPositions(geojson) {
+    const positions = [];
+    const visit = (node) => {
+        if (!node) return;
+        if (node.type === 'FeatureCollection') return node.features.forEach(visit);
+        if (node.type === 'Feature') return visit(node.geometry);
+        if (node.type === 'GeometryCollection') return node.geometries.forEach(visit);
+        const walk = (coords) => {
+            if (typeof coords[0] === 'number') positions.push(coords);
+            else coords.forEach(walk);
+        };
+        if (node.coordinates) walk(node.coordinates);
+    };
+    visit(geojson);
+    return positions;
+}
+
+/**
+ * Reduce a GeoJSON object to a bare geometry
+ */
+function toGeometry(geojson) {
+    if (geojson.type === 'Feature') return geojson.geometry;
+    if (geojson.type === 'FeatureCollection') {
+        return { type: 'GeometryCollection', geometries: geojson.features.map(f => f.geometry).filter(Boolean) };
+    }
+    return geojson;
+}
+
+/**
+ * OGC CRS IRI for a registry key ("EPSG:31370" →
+ * http://www.opengis.net/def/crs/EPSG/0/31370)
+ */
+function crsIRI(key) {
+    const [authority, code] = key.split(':');
+    return `http://www.opengis.net/def/crs/${authority}/${authority === 'OGC' ? '1.3' : '0'}/${code}`;
+}
+
+/**
+ * Download the visible geometries as GeoJSON, KML or WKT, reprojected from
+ * WGS 84 to the chosen CRS ('' for CRS84)
+ */
+async function exportGeometries(format, crs) {
+    const geometries = displayedGeometries.filter(g => map.hasLayer(g.layer));
+    if (geometries.length === 0) return;
+
+    let transform = null;
+    let swap = false;
+    if (crs) {
+        const entry = await resolveCRS(crs);
+        if (!entry) {
+            showMapWarnings([`Export: unknown CRS ${crs}`]);
+            return;
+        }
+        const projection = proj4('WGS84', crs);
+        // WKT carries the CRS IRI, so it uses the CRS axis order
+        swap = format === 'wkt' && entry.axis === 'neu';
+        transform = ([lon, lat, ...rest]) => {
+            const [x, y] = projection.forward([lon, lat]);
+            return swap ? [y, x, ...rest] : [x, y, ...rest];
+        };
+    }
+
+    const exported = geometries.map(g => {
+        const geometry = toGeometry(JSON.parse(JSON.stringify(g.geojson)));
+        if (transform) transformGeoJSON(geometry, transform);
+        return { name: g.name, geometry };
+    });
+
+    let text;
+    if (format === 'geojson') {
+        const collection = {
+            type: 'FeatureCollection',
+            features: exported.map(({ name, geometry }) => ({ type: 'Feature', properties: { name }, geometry }))
+        };
+        if (crs) {
+            // Pre-RFC 7946 CRS member, for GIS tools that still read it
+            const [authority, code] = crs.split(':');
+            collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:${authority}::${code}` } };
+        }
+        text = JSON.stringify(collection, null, 2);
+    } else if (format === 'kml') {
+        text = geometriesToKML(exported);
+    } else {
+        const prefix = crs ? `<${crsIRI(crs)}> ` : '';
+        text = exported.map(({ geometry }) => prefix + geoJSONToWkt(geometry)).join('\n') + '\n';
+    }
+
+    const { mime, extension } = GEOMETRY_EXPORT_FORMATS[format];
+    const suffix = crs ? `-${crs.replace(':', '')}` : '';
+    downloadText(text, mime, `${mapExportName}${suffix}.${extension}`);
+}
+
+/**
+ * Serialize named GeoJSON geometries (WGS 84) as a KML document
+ */
+function geometriesToKML(items) {
+    const escapeXML = (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    const coordinates = (positions) => positions.map(p => p.slice(0, 3).join(',')).join(' ');
+    const ring = (positions) => `<LinearRing><coordinates>${coordinates(positions)}</coordinates></LinearRing>`;
+    const polygon = (rings) => '<Polygon>' +
+        `<outerBoundaryIs>${ring(rings[0])}</outerBoundaryIs>` +
+        rings.slice(1).map(r => `<innerBoundaryIs>${ring(r)}</innerBoundaryIs>`).join('') +
+        '</Polygon>';
+
+    const toKML = (geometry) => {
+        switch (geometry.type) {
+            case 'Point':
+                return `<Point><coordinates>${coordinates([geometry.coordinates])}</coordinates></Point>`;
+            case 'LineString':
+                return `<LineString><coordinates>${coordinates(geometry.coordinates)}</coordinates></LineString>`;
+            case 'Polygon':
+                return polygon(geometry.coordinates);
+            case 'MultiPoint':
+                return `<MultiGeometry>${geometry.coordinates.map(c => toKML({ type: 'Point', coordinates: c })).join('')}</MultiGeometry>`;
+            case 'MultiLineString':
+                return `<MultiGeometry>${geometry.coordinates.map(c => toKML({ type: 'LineString', coordinates: c })).join('')}</MultiGeometry>`;
+            case 'MultiPolygon':
+                return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+            case 'GeometryCollection':
+                return `<MultiGeometry>${geometry.geometries.map(toKML).join('')}</MultiGeometry>`;
+            default:
+                return '';
+        }
+    };
+
+    const placemarks = items.map(({ name, geometry }) =>
+        `    <Placemark>\n      <name>${escapeXML(name)}</name>\n      ${toKML(geometry)}\n    </Placemark>`);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+        `  <Document>\n    <name>${escapeXML(mapExportName)}</name>\n${placemarks.join('\n')}\n  </Document>\n` +
+        '</kml>\n';
+}
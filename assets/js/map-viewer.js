@@ -1,16 +1,38 @@
 /**
- * Map Viewer - WKT Geometry Visualization
- * Uses Leaflet.js and betterknown for WKT parsing
- * Supports EWKT format with SRID and auto-fetches EPSG definitions
+ * Map Viewer - Geometry Visualization
+ * Uses Leaflet.js, betterknown for WKT parsing and DOMParser for GML
+ * Reprojects with proj4 from an offline CRS registry (CONFIG.CRS_REGISTRY)
  */
 
 let map = null;
 let geoJsonLayer = null;
+let layerControl = null;
+
+// Base layers by name, from CONFIG.BASE_LAYERS
+let baseLayers = {};
+
+// Geometries currently drawn: { name, color, node, item, crs, axisOrder, native, geojson, layer }
+// where native holds the coordinates as written in the literal and item is
+// the geometry's key in the linked selection (selection.js)
+let displayedGeometries = [];
+
+// CRS registry, loaded once: { "EPSG:31370": { name, proj4, axis }, ... }
+let crsRegistryPromise = null;
+
+// Layer colors, assigned to a resource's geometries in order
+const GEOMETRY_COLORS = ['#0d6efd', '#dc3545', '#198754', '#fd7e14', '#6f42c1', '#20c997', '#d63384', '#6c757d'];
+
+// Style added to geometries matching the linked selection
+const GEOMETRY_HIGHLIGHT_STYLE = { weight: 6, opacity: 1, fillOpacity: 0.45 };
 
 /**
- * Initialize Leaflet map and display WKT geometry
+ * Initialize Leaflet map and display a resource's geometries, each as its
+ * own layer in the layer control
+ * @param {Array<{name: string, node: string, item: Object, format: string, literal: string}>} geometries
+ *        format is 'wkt', 'geojson', 'gml' or 'point' ("lat long"); node is
+ *        the geometry node and item its key in the linked selection
  */
-function initializeMap(wktLiteral) {
+async function initializeMap(geometries) {
     // Wait for Leaflet to load
     if (typeof L === 'undefined') {
         console.error('Leaflet not loaded');
@@ -18,36 +40,74 @@ function initializeMap(wktLiteral) {
     }
 
     try {
-        // Parse WKT to GeoJSON
-        const { geojson, srid } = parseWKT(wktLiteral);
+        // Initialize map if not already done; a reused map may have been
+        // resized while its section was hidden
+        if (!map) {
+            createMap();
+        } else {
+            map.invalidateSize();
+        }
 
-        if (!geojson) {
-            console.error('Failed to parse WKT');
-            return;
+        // Remove existing layers
+        if (geoJsonLayer) {
+            map.removeLayer(geoJsonLayer);
+        }
+        if (layerControl) {
+            map.removeControl(layerControl);
         }
+        const layers = L.featureGroup().addTo(map);
+        geoJsonLayer = layers;
+        const switchableBaseLayers = Object.keys(baseLayers).length > 1 ? baseLayers : null;
+        layerControl = L.control.layers(switchableBaseLayers, null, { collapsed: false });
+        displayedGeometries = [];
+        const warnings = [];
 
-        // Initialize map if not already done
-        if (!map) {
-            map = L.map('map-container').setView([50.8503, 4.3517], 13); // Default: Brussels
+        // Parse and reproject everything before drawing
+        const parsed = await Promise.all(geometries.map(async geometry => {
+            const { geojson, crs, axisOrder } = parseGeometry(geometry);
 
-            // Add OpenStreetMap tiles
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-                maxZoom: 19
-            }).addTo(map);
-        }
+            if (!geojson) {
+                console.error(`Failed to parse ${geometry.format} geometry "${geometry.name}"`);
+                return null;
+            }
 
-        // Handle coordinate transformation if SRID is specified
-        if (srid && srid !== 4326 && typeof proj4 !== 'undefined') {
-            transformCoordinates(geojson, srid);
-        }
+            const native = JSON.parse(JSON.stringify(geojson));
+            try {
+                await reprojectGeoJSON(geojson, crs, axisOrder);
+            } catch (error) {
+                warnings.push(`${geometry.name}: ${error.message}`);
+                return null;
+            }
+            return { geojson, native, crs, axisOrder };
+        }));
+        // Another resource was opened meanwhile
+        if (geoJsonLayer !== layers) return;
+        showMapWarnings(warnings);
 
-        // Add GeoJSON to map
-        addGeoJSONToMap(geojson);
+        parsed.forEach((result, index) => {
+            if (!result) return;
+            const { name, node, item } = geometries[index];
+            const color = GEOMETRY_COLORS[index % GEOMETRY_COLORS.length];
+            const layer = createGeometryLayer(result.geojson, name, color);
+            layer.on('click', () => {
+                if (!measurement) selection.select(item, 'map');
+            });
+            geoJsonLayer.addLayer(layer);
+            layerControl.addOverlay(layer,
+                `<span class="map-legend-swatch" style="background: ${color}"></span>${escapeHTML(name)}`);
+            displayedGeometries.push({ name, color, node, item, layer, ...result });
+        });
+        highlightGeometries(selection.active);
+
+        // Only show the layer control when there is something to toggle
+        if (geoJsonLayer.getLayers().length > 1 || switchableBaseLayers) {
+            layerControl.addTo(map);
+        }
 
         // Fit map bounds to geometry
-        if (geoJsonLayer) {
-            map.fitBounds(geoJsonLayer.getBounds(), {
+        const bounds = geoJsonLayer.getBounds();
+        if (bounds.isValid()) {
+            map.fitBounds(bounds, {
                 padding: [50, 50],
                 maxZoom: 16
             });
@@ -59,99 +119,399 @@ function initializeMap(wktLiteral) {
 }
 
 /**
- * Parse WKT literal (supports EWKT format with SRID)
- * Returns { geojson, srid }
+ * Take the previous resource's geometries off the map and hide it before
+ * another resource is shown; the map itself is kept for the next one
+ */
+function clearMap() {
+    document.getElementById('map').style.display = 'none';
+    document.getElementById('geometry-literals').innerHTML = '';
+    showMapWarnings([]);
+    if (!map) return;
+
+    resetMapTools();
+    if (geoJsonLayer) {
+        map.removeLayer(geoJsonLayer);
+        geoJsonLayer = null;
+    }
+    if (layerControl) {
+        map.removeControl(layerControl);
+        layerControl = null;
+    }
+    displayedGeometries = [];
+}
+
+/**
+ * Emphasize the geometries matching the active selection item: the
+ * geometry's own key, or its geometry node (the resource itself for
+ * literals on the resource)
+ */
+function highlightGeometries(item) {
+    displayedGeometries.forEach(geometry => {
+        geometry.layer.resetStyle();
+        if (item && (LinkedSelection.matches(item, geometry.item) || item.value === geometry.node)) {
+            geometry.layer.setStyle(GEOMETRY_HIGHLIGHT_STYLE);
+            if (map.hasLayer(geometry.layer)) geometry.layer.bringToFront();
+        }
+    });
+}
+
+selection.subscribe(highlightGeometries);
+
+/**
+ * Create the Leaflet map with the configured view and base layers;
+ * the first base layer is shown, none when CONFIG.BASE_LAYERS is empty
+ */
+function createMap() {
+    map = L.map('map-container').setView(CONFIG.MAP_CENTER, CONFIG.MAP_ZOOM);
+
+    baseLayers = {};
+    CONFIG.BASE_LAYERS.forEach(definition => {
+        baseLayers[definition.name] = createBaseLayer(definition);
+    });
+
+    const names = Object.keys(baseLayers);
+    if (names.length > 0) {
+        baseLayers[names[0]].addTo(map);
+    } else {
+        map.getContainer().classList.add('map-no-basemap');
+    }
+}
+
+/**
+ * Create a tile or WMS layer from a CONFIG.BASE_LAYERS entry; keys other
+ * than name, type and url are passed to Leaflet as layer options
+ */
+function createBaseLayer(definition) {
+    const { name, type = 'tile', url, ...options } = definition;
+    if (type === 'wms') {
+        return L.tileLayer.wms(url, { format: 'image/png', ...options });
+    }
+    return L.tileLayer(url, options);
+}
+
+/**
+ * Parse a geometry literal into GeoJSON
+ * Returns { geojson, crs, axisOrder }: crs is a registry key (null for
+ * CRS84) and axisOrder is 'authority' when coordinates follow the axis
+ * order the CRS defines, or 'xy' for easting/longitude first
+ */
+function parseGeometry(geometry) {
+    switch (geometry.format) {
+        case 'wkt':
+            return parseWKT(geometry.literal);
+        case 'gml':
+            return parseGML(geometry.literal);
+        case 'geojson':
+            // GeoSPARQL GeoJSON literals are always in CRS84
+            try {
+                return { geojson: JSON.parse(geometry.literal), crs: null, axisOrder: 'xy' };
+            } catch (e) {
+                return { geojson: null, crs: null, axisOrder: 'xy' };
+            }
+        case 'point': {
+            const [lat, long] = geometry.literal.split(/\s+/).map(Number);
+            if (isNaN(lat) || isNaN(long)) return { geojson: null, crs: null, axisOrder: 'xy' };
+            return { geojson: { type: 'Point', coordinates: [long, lat] }, crs: null, axisOrder: 'xy' };
+        }
+        default:
+            return { geojson: null, crs: null, axisOrder: 'xy' };
+    }
+}
+
+/**
+ * Parse WKT literal (supports EWKT format with SRID and GeoSPARQL CRS IRIs)
+ * Returns { geojson, crs, axisOrder }
  */
 function parseWKT(wktLiteral) {
     let wkt = wktLiteral.trim();
-    let srid = null;
+    let crs = null;
+    let axisOrder = 'xy';
 
-    // Check for EWKT format: SRID=4326;POINT(...)
-    const ewktMatch = wkt.match(/^SRID=(\d+);(.+)$/i);
+    // Check for EWKT format: SRID=31370;POINT(...), always x/y order
+    const ewktMatch = wkt.match(/^SRID=(\d+);([\s\S]+)$/i);
     if (ewktMatch) {
-        srid = parseInt(ewktMatch[1]);
+        crs = `EPSG:${ewktMatch[1]}`;
         wkt = ewktMatch[2];
     }
 
-    // Check for OpenGIS format: <http://www.opengis.net/def/crs/EPSG/0/4326> POINT(...)
-    const ogcMatch = wkt.match(/^<http:\/\/www\.opengis\.net\/def\/crs\/EPSG\/0\/(\d+)>\s+(.+)$/i);
-    if (ogcMatch) {
-        srid = parseInt(ogcMatch[1]);
-        wkt = ogcMatch[2];
+    // Check for GeoSPARQL format: <http://www.opengis.net/def/crs/EPSG/0/4326> POINT(...),
+    // in the axis order of the CRS
+    const iriMatch = wkt.match(/^<([^>]+)>\s*([\s\S]+)$/);
+    if (iriMatch) {
+        crs = crsKey(iriMatch[1]);
+        axisOrder = 'authority';
+        wkt = iriMatch[2];
     }
 
     // Parse WKT using betterknown
     let geojson = null;
     if (typeof wktToGeoJSON !== 'undefined') {
-        geojson = wktToGeoJSON(wkt);
+        geojson = wktToGeoJSON(tagWKTDimensions(wkt));
     } else {
         console.error('betterknown library not loaded');
-        return { geojson: null, srid };
     }
 
-    return { geojson, srid };
+    return { geojson, crs, axisOrder };
 }
 
 /**
- * Transform coordinates using proj4
+ * Tag untagged 3D/4D WKT (PostGIS style "POINT(1 2 3)") with Z or ZM,
+ * which betterknown requires
  */
-function transformCoordinates(geojson, sourceSRID) {
-    if (typeof proj4 === 'undefined') {
-        console.warn('proj4 not loaded, skipping coordinate transformation');
-        return;
+function tagWKTDimensions(wkt) {
+    if (/\b(Z|M|ZM)\s*\(/i.test(wkt)) return wkt;
+    const tuple = wkt.match(/\(\s*([^(),]+?)\s*[,)]/);
+    if (!tuple) return wkt;
+    const size = tuple[1].split(/\s+/).length;
+    if (size < 3) return wkt;
+    return wkt.replace(/([A-Za-z]+)\s*\(/g, `$1 ${size === 3 ? 'Z' : 'ZM'} (`);
+}
+
+/**
+ * Normalize a CRS reference to a registry key: OGC CRS IRIs
+ * (http://www.opengis.net/def/crs/{authority}/{version}/{code}), OGC URNs
+ * (urn:ogc:def:crs:{authority}:{version}:{code}) and "EPSG:31370" all
+ * become "{AUTHORITY}:{code}"; other references are kept as-is
+ */
+function crsKey(reference) {
+    const trimmed = reference.trim();
+    const iri = trimmed.match(/^https?:\/\/www\.opengis\.net\/def\/crs\/([^/]+)\/[^/]*\/([^/]+)$/i);
+    if (iri) return `${iri[1].toUpperCase()}:${iri[2]}`;
+    const urn = trimmed.match(/^urn:ogc:def:crs:([^:]+):[^:]*:([^:]+)$/i);
+    if (urn) return `${urn[1].toUpperCase()}:${urn[2]}`;
+    const short = trimmed.match(/^([A-Za-z]+):(\w+)$/);
+    if (short) return `${short[1].toUpperCase()}:${short[2]}`;
+    return trimmed;
+}
+
+/**
+ * Parse a GML literal (Point, LineString, Polygon, their Multi* variants and
+ * MultiGeometry; GML 2 and 3) into GeoJSON
+ * Returns { geojson, crs, axisOrder }
+ */
+function parseGML(gmlLiteral) {
+    let gml = gmlLiteral.trim();
+
+    // Literals often rely on a gml prefix declared elsewhere
+    if (!/xmlns:gml\s*=/.test(gml)) {
+        gml = `<gml-root xmlns:gml="http://www.opengis.net/gml/3.2">${gml}</gml-root>`;
+    }
+
+    const doc = new DOMParser().parseFromString(gml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        return { geojson: null, crs: null, axisOrder: 'xy' };
+    }
+
+    let root = doc.documentElement;
+    if (root.localName === 'gml-root') {
+        root = root.firstElementChild;
+    }
+    if (!root) {
+        return { geojson: null, crs: null, axisOrder: 'xy' };
+    }
+
+    // srsName: urn:ogc:def:crs:EPSG::31370 or http://www.opengis.net/def/crs/EPSG/0/31370
+    // use the axis order of the CRS; the legacy "EPSG:31370" form is x/y
+    let crs = null;
+    let axisOrder = 'xy';
+    const srsElement = root.hasAttribute('srsName') ? root : root.querySelector('[srsName]');
+    if (srsElement) {
+        const srsName = srsElement.getAttribute('srsName');
+        crs = crsKey(srsName);
+        if (/^(urn:|https?:)/i.test(srsName.trim())) axisOrder = 'authority';
+    }
+
+    try {
+        return { geojson: gmlToGeoJSON(root), crs, axisOrder };
+    } catch (error) {
+        console.error('Error parsing GML:', error);
+        return { geojson: null, crs, axisOrder };
     }
+}
+
+/**
+ * Convert one GML geometry element to a GeoJSON geometry
+ */
+function gmlToGeoJSON(element) {
+    const children = (parent, ...names) =>
+        Array.from(parent.children).filter(child => names.includes(child.localName));
+    const descendant = (parent, name) =>
+        Array.from(parent.getElementsByTagNameNS('*', name))[0];
 
-    // Define common projections
-    const commonProjections = {
-        4326: '+proj=longlat +datum=WGS84 +no_defs', // WGS84
-        3857: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0.0 +lon_0=0.0 +x_0=0.0 +y_0=0 +k=1.0 +units=m +nadgrids=@null +wktext +no_defs', // Web Mercator
-        31370: '+proj=lcc +lat_1=51.16666723333333 +lat_2=49.8333339 +lat_0=90 +lon_0=4.367486666666666 +x_0=150000.013 +y_0=5400088.438 +ellps=intl +towgs84=-106.869,52.2978,-103.724,0.3366,-0.457,1.8422,-1.2747 +units=m +no_defs', // Belgian Lambert 72
-        4258: '+proj=longlat +ellps=GRS80 +no_defs', // ETRS89
-        3035: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +units=m +no_defs', // ETRS89-LAEA
-        25832: '+proj=utm +zone=32 +ellps=GRS80 +units=m +no_defs', // ETRS89 / UTM zone 32N
-        25833: '+proj=utm +zone=33 +ellps=GRS80 +units=m +no_defs' // ETRS89 / UTM zone 33N
+    // Coordinates from posList, pos elements or GML 2 coordinates
+    const readCoordinates = (parent) => {
+        const posList = descendant(parent, 'posList');
+        if (posList) {
+            const dimension = parseInt(posList.getAttribute('srsDimension') ||
+                parent.getAttribute('srsDimension') || '2');
+            const values = posList.textContent.trim().split(/\s+/).map(Number);
+            const coordinates = [];
+            for (let i = 0; i + dimension <= values.length; i += dimension) {
+                coordinates.push(values.slice(i, i + dimension));
+            }
+            return coordinates;
+        }
+        const positions = Array.from(parent.getElementsByTagNameNS('*', 'pos'));
+        if (positions.length > 0) {
+            return positions.map(pos => pos.textContent.trim().split(/\s+/).map(Number));
+        }
+        const coordinates = descendant(parent, 'coordinates');
+        if (coordinates) {
+            return coordinates.textContent.trim().split(/\s+/)
+                .map(tuple => tuple.split(',').map(Number));
+        }
+        return [];
+    };
+
+    const readPolygon = (polygon) => {
+        const rings = [
+            ...children(polygon, 'exterior', 'outerBoundaryIs'),
+            ...children(polygon, 'interior', 'innerBoundaryIs')
+        ];
+        return rings.map(readCoordinates);
     };
 
-    // Get source projection
-    let sourceProj = commonProjections[sourceSRID];
-    
-    if (!sourceProj) {
-        // Try to fetch from epsg.io
-        console.log(`Fetching EPSG:${sourceSRID} definition from epsg.io...`);
-        fetch(`https://epsg.io/${sourceSRID}.proj4`)
-            .then(response => response.text())
-            .then(proj4def => {
-                proj4.defs(`EPSG:${sourceSRID}`, proj4def);
-                transformGeoJSON(geojson, `EPSG:${sourceSRID}`, 'EPSG:4326');
-            })
+    // Member geometries of a Multi* or MultiGeometry element
+    const members = (parent) => {
+        const result = [];
+        Array.from(parent.children).forEach(child => {
+            if (/Members?$/.test(child.localName)) {
+                Array.from(child.children).forEach(member => result.push(member));
+            }
+        });
+        return result;
+    };
+
+    switch (element.localName) {
+        case 'Point':
+            return { type: 'Point', coordinates: readCoordinates(element)[0] };
+        case 'LineString':
+        case 'LinearRing':
+        case 'Curve':
+            return { type: 'LineString', coordinates: readCoordinates(element) };
+        case 'Polygon':
+        case 'Surface':
+            return { type: 'Polygon', coordinates: readPolygon(element.localName === 'Surface'
+                ? descendant(element, 'PolygonPatch') : element) };
+        case 'MultiPoint':
+            return { type: 'MultiPoint', coordinates: members(element).map(m => gmlToGeoJSON(m).coordinates) };
+        case 'MultiLineString':
+        case 'MultiCurve':
+            return { type: 'MultiLineString', coordinates: members(element).map(m => gmlToGeoJSON(m).coordinates) };
+        case 'MultiPolygon':
+        case 'MultiSurface':
+            return { type: 'MultiPolygon', coordinates: members(element).map(m => gmlToGeoJSON(m).coordinates) };
+        case 'MultiGeometry':
+            return { type: 'GeometryCollection', geometries: members(element).map(gmlToGeoJSON) };
+        default:
+            throw new Error(`Unsupported GML element: ${element.localName}`);
+    }
+}
+
+/**
+ * Load the CRS registry from CONFIG.CRS_REGISTRY (once)
+ */
+function loadCRSRegistry() {
+    if (!crsRegistryPromise) {
+        crsRegistryPromise = fetch(CONFIG.CRS_REGISTRY)
+            .then(response => response.ok ? response.json() : {})
             .catch(error => {
-                console.error(`Failed to fetch EPSG:${sourceSRID}:`, error);
+                console.warn('Could not load CRS registry:', error);
+                return {};
             });
+    }
+    return crsRegistryPromise;
+}
+
+/**
+ * Find a CRS definition in the registry, or through CONFIG.CRS_LOOKUP_URL
+ * when one is configured. Registers it with proj4 and returns the entry,
+ * or null when the CRS is unknown.
+ */
+async function resolveCRS(key) {
+    const registry = await loadCRSRegistry();
+
+    if (!registry[key] && CONFIG.CRS_LOOKUP_URL) {
+        const code = key.split(':').pop();
+        try {
+            const response = await fetch(CONFIG.CRS_LOOKUP_URL.replace('{code}', encodeURIComponent(code)));
+            if (response.ok) {
+                const definition = (await response.text()).trim();
+                if (definition.startsWith('+')) {
+                    // Looked-up definitions carry no axis order: assume x/y
+                    registry[key] = { name: key, proj4: definition };
+                }
+            }
+        } catch (error) {
+            console.warn(`Failed to look up ${key}:`, error);
+        }
+    }
+
+    const entry = registry[key];
+    if (!entry) return null;
+    if (!proj4.defs(key)) {
+        proj4.defs(key, entry.proj4);
+    }
+    return entry;
+}
+
+/**
+ * Reproject GeoJSON in place to WGS 84 longitude/latitude.
+ * Swaps north-first coordinates when they follow the CRS axis order and
+ * keeps Z/M values as they are. Throws when the CRS is unknown.
+ */
+async function reprojectGeoJSON(geojson, crs, axisOrder) {
+    if (!crs || crs === 'OGC:CRS84' || crs === 'OGC:CRS84h') {
         return;
     }
+    if (typeof proj4 === 'undefined') {
+        throw new Error('proj4 not loaded, cannot reproject');
+    }
+
+    const entry = await resolveCRS(crs);
+    if (!entry) {
+        throw new Error(`unknown CRS ${crs}; add it to ${CONFIG.CRS_REGISTRY} to show this geometry`);
+    }
 
-    // Define projections
-    proj4.defs(`EPSG:${sourceSRID}`, sourceProj);
-    proj4.defs('EPSG:4326', commonProjections[4326]);
+    const swap = axisOrder === 'authority' && entry.axis === 'neu';
+    const transform = proj4(crs, 'WGS84');
 
-    // Transform
-    transformGeoJSON(geojson, `EPSG:${sourceSRID}`, 'EPSG:4326');
+    transformGeoJSON(geojson, coords => {
+        const [first, second, ...rest] = coords;
+        const xy = swap ? [second, first] : [first, second];
+        return [...transform.forward(xy), ...rest];
+    });
 }
 
 /**
- * Transform GeoJSON coordinates
+ * Apply a coordinate function to every position of a GeoJSON object
  */
-function transformGeoJSON(geojson, fromProj, toProj) {
-    if (!geojson || !geojson.coordinates) {
+function transformGeoJSON(geojson, transformPosition) {
+    if (!geojson) {
         return;
     }
 
-    const transform = proj4(fromProj, toProj);
+    // Collections: transform every member
+    if (geojson.type === 'FeatureCollection') {
+        geojson.features.forEach(feature => transformGeoJSON(feature, transformPosition));
+        return;
+    }
+    if (geojson.type === 'Feature') {
+        transformGeoJSON(geojson.geometry, transformPosition);
+        return;
+    }
+    if (geojson.type === 'GeometryCollection') {
+        geojson.geometries.forEach(geometry => transformGeoJSON(geometry, transformPosition));
+        return;
+    }
+    if (!geojson.coordinates) {
+        return;
+    }
 
     function transformCoords(coords) {
         if (typeof coords[0] === 'number') {
-            // Single coordinate pair
-            return transform.forward(coords);
+            // Single position
+            return transformPosition(coords);
         } else {
             // Array of coordinates
             return coords.map(transformCoords);
@@ -162,14 +522,23 @@ function transformGeoJSON(geojson, fromProj, toProj) {
 }
 
 /**
- * Add GeoJSON to map with styling
+ * Show (or clear) warnings about geometries that could not be drawn
  */
-function addGeoJSONToMap(geojson) {
-    // Remove existing layer
-    if (geoJsonLayer) {
-        map.removeLayer(geoJsonLayer);
-    }
+function showMapWarnings(warnings) {
+    const container = document.getElementById('map-warning');
+    container.innerHTML = '';
+    warnings.forEach(warning => {
+        const line = document.createElement('div');
+        line.textContent = warning;
+        container.appendChild(line);
+    });
+    container.style.display = warnings.length > 0 ? 'block' : 'none';
+}
 
+/**
+ * Create a styled GeoJSON layer for one geometry
+ */
+function createGeometryLayer(geojson, name, color) {
     // Wrap bare geometry as a GeoJSON Feature (Leaflet passes raw geometry
     // to onEachFeature without a .geometry wrapper)
     const featureData = (geojson.type === 'Feature' || geojson.type === 'FeatureCollection')
@@ -178,20 +547,21 @@ function addGeoJSONToMap(geojson) {
 
     // Style function
     const style = {
-        color: '#0d6efd',
+        color: color,
         weight: 3,
         opacity: 0.7,
-        fillColor: '#0d6efd',
+        fillColor: color,
         fillOpacity: 0.2
     };
 
-    // Add GeoJSON layer
-    geoJsonLayer = L.geoJSON(featureData, {
+    const title = '<strong>' + escapeHTML(name) + '</strong><br>';
+
+    return L.geoJSON(featureData, {
         style: style,
         pointToLayer: function(feature, latlng) {
             return L.circleMarker(latlng, {
                 radius: 8,
-                fillColor: '#0d6efd',
+                fillColor: color,
                 color: '#fff',
                 weight: 2,
                 opacity: 1,
@@ -204,15 +574,78 @@ function addGeoJSONToMap(geojson) {
             if (geom.type === 'Point') {
                 var coords = geom.coordinates;
                 layer.bindPopup(
-                    '<strong>Point</strong><br>' +
+                    title + 'Point<br>' +
                     'Lon: ' + coords[0].toFixed(6) + '<br>' +
                     'Lat: ' + coords[1].toFixed(6)
                 );
             } else if (geom.type === 'LineString') {
-                layer.bindPopup('<strong>LineString</strong><br>' + geom.coordinates.length + ' points');
+                layer.bindPopup(title + 'LineString<br>' + geom.coordinates.length + ' points<br>' +
+                    'Length: ' + formatLength(geodesicLength(geom.coordinates)));
+            } else if (geom.type === 'MultiLineString') {
+                var length = geom.coordinates.reduce(function(sum, line) { return sum + geodesicLength(line); }, 0);
+                layer.bindPopup(title + 'MultiLineString<br>' + geom.coordinates.length + ' lines<br>' +
+                    'Length: ' + formatLength(length));
             } else if (geom.type === 'Polygon') {
-                layer.bindPopup('<strong>Polygon</strong><br>' + geom.coordinates[0].length + ' vertices');
+                layer.bindPopup(title + 'Polygon<br>' + geom.coordinates[0].length + ' vertices<br>' +
+                    'Area: ' + formatArea(polygonArea(geom.coordinates)) + '<br>' +
+                    'Perimeter: ' + formatLength(geodesicLength(geom.coordinates[0])));
+            } else if (geom.type === 'MultiPolygon') {
+                var area = geom.coordinates.reduce(function(sum, polygon) { return sum + polygonArea(polygon); }, 0);
+                layer.bindPopup(title + 'MultiPolygon<br>' + geom.coordinates.length + ' polygons<br>' +
+                    'Area: ' + formatArea(area));
+            } else {
+                layer.bindPopup(title + geom.type);
             }
         }
-    }).addTo(map);
+    });
+}
+
+/**
+ * Geodesic length in meters of a line of [lon, lat] positions
+ */
+function geodesicLength(positions) {
+    let length = 0;
+    for (let i = 1; i < positions.length; i++) {
+        length += L.latLng(positions[i - 1][1], positions[i - 1][0])
+            .distanceTo(L.latLng(positions[i][1], positions[i][0]));
+    }
+    return length;
+}
+
+/**
+ * Geodesic area in square meters of a ring of [lon, lat] positions
+ * (spherical approximation, as used by Leaflet.draw)
+ */
+function geodesicArea(ring) {
+    const radius = 6378137;
+    const toRadians = Math.PI / 180;
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [lon1, lat1] = ring[i];
+        const [lon2, lat2] = ring[(i + 1) % ring.length];
+        area += (lon2 - lon1) * toRadians *
+            (2 + Math.sin(lat1 * toRadians) + Math.sin(lat2 * toRadians));
+    }
+    return Math.abs(area * radius * radius / 2);
+}
+
+/**
+ * Area of a polygon (exterior ring minus holes)
+ */
+function polygonArea(rings) {
+    return rings.reduce((area, ring, i) => i === 0 ? geodesicArea(ring) : area - geodesicArea(ring), 0);
+}
+
+function formatLength(meters) {
+    const locale = preferredLocales();
+    return meters >= 1000
+        ? `${(meters / 1000).toLocaleString(locale, { maximumFractionDigits: 2 })} km`
+        : `${meters.toLocaleString(locale, { maximumFractionDigits: 1 })} m`;
+}
+
+function formatArea(squareMeters) {
+    const locale = preferredLocales();
+    if (squareMeters >= 1e6) return `${(squareMeters / 1e6).toLocaleString(locale, { maximumFractionDigits: 2 })} km²`;
+    if (squareMeters >= 1e4) return `${(squareMeters / 1e4).toLocaleString(locale, { maximumFractionDigits: 2 })} ha`;
+    return `${squareMeters.toLocaleString(locale, { maximumFractionDigits: 1 })} m²`;
 }
@@ -0,0 +1,333 @@
+/**
+ * Nearby Resources - Map layer with other resources inside the viewport
+ * Uses GeoSPARQL geof:sfIntersects when the endpoint supports it, otherwise
+ * a plain bbox test on the first WKT coordinate; geo:lat/long points are
+ * always included. Refreshes on pan/zoom and colors features per rdf:type.
+ */
+
+// Maximum number of nearby resources drawn per viewport
+const NEARBY_FEATURE_LIMIT = 200;
+
+// Delay after the last pan/zoom before querying
+const NEARBY_DEBOUNCE = 500;
+
+const GEOF = 'http://www.opengis.net/def/function/geosparql/';
+const CRS84_IRI = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+
+// Colors per rdf:type, distinct from the resource's own geometry colors
+const NEARBY_COLORS = ['#e67e22', '#16a085', '#8e44ad', '#c0392b', '#2980b9', '#7f8c8d', '#d4ac0d', '#27ae60'];
+
+class NearbyResources {
+    /**
+     * @param {URIDereferencer} dereferencer - App instance providing query and display helpers
+     */
+    constructor(dereferencer) {
+        this.app = dereferencer;
+        this.mode = CONFIG.NEARBY_MODE;
+        this.layer = null;
+        this.legend = null;
+        this.typeColors = new Map();
+        this.drawn = [];
+        this.timer = null;
+        this.requestId = 0;
+        this.ready = null;
+    }
+
+    /**
+     * Add the nearby layer to the map's layer control and load the current
+     * viewport; the layer and its listeners are created once and reused for
+     * every resource shown on the map
+     */
+    async init() {
+        if (this.mode === 'off' || !map) return;
+
+        // Resources opened while the first setup runs share it
+        const control = layerControl;
+        this.ready = this.ready || this.setup();
+        await this.ready;
+        // Another resource replaced the map's layers meanwhile
+        if (control !== layerControl) return;
+        layerControl.addOverlay(this.layer, 'Nearby resources');
+        layerControl.addTo(map);
+
+        await this.refresh();
+    }
+
+    /**
+     * Create the layer and legend, and refresh them when the map moves
+     */
+    async setup() {
+        if (this.mode === 'auto') {
+            this.mode = await this.detectGeoSPARQL() ? 'geosparql' : 'bbox';
+        }
+
+        this.layer = L.featureGroup().addTo(map);
+
+        this.legend = L.control({ position: 'bottomright' });
+        this.legend.onAdd = () => {
+            const container = L.DomUtil.create('div', 'map-legend');
+            container.id = 'nearby-legend';
+            return container;
+        };
+        this.legend.addTo(map);
+
+        map.on('overlayremove', (e) => {
+            if (e.layer === this.layer) this.legend.getContainer().style.display = 'none';
+        });
+        map.on('overlayadd', (e) => {
+            if (e.layer === this.layer) {
+                this.legend.getContainer().style.display = '';
+                this.refresh();
+            }
+        });
+        map.on('moveend', () => {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.refresh(), NEARBY_DEBOUNCE);
+        });
+        selection.subscribe(item => this.highlight(item));
+    }
+
+    /**
+     * Remove the nearby resources before another resource is shown;
+     * requests still running are ignored
+     */
+    clear() {
+        this.requestId++;
+        clearTimeout(this.timer);
+        if (this.layer) this.layer.clearLayers();
+        this.drawn = [];
+        const legend = document.getElementById('nearby-legend');
+        if (legend) {
+            legend.innerHTML = '';
+            legend.style.display = 'none';
+        }
+        this.setStatus('');
+    }
+
+    /**
+     * Check whether the endpoint evaluates geof:sfIntersects
+     */
+    async detectGeoSPARQL() {
+        const probeQuery = `
+            SELECT ?supported WHERE {
+                BIND(<${GEOF}sfIntersects>(
+                    "POINT(0 0)"^^<${NS.GSP}wktLiteral>,
+                    "POLYGON((-1 -1, 1 -1, 1 1, -1 1, -1 -1))"^^<${NS.GSP}wktLiteral>
+                ) AS ?supported)
+            }
+        `;
+        try {
+            const bindings = await this.app.executeSelectQuery(probeQuery);
+            return bindings.length > 0 && !!bindings[0].supported && bindings[0].supported.value === 'true';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Build the query for resources inside a bounding box
+     */
+    buildQuery(west, south, east, north) {
+        const bbox = `POLYGON((${west} ${south}, ${east} ${south}, ${east} ${north}, ${west} ${north}, ${west} ${south}))`;
+
+        // Without spatial functions: read the first coordinate of CRS84 WKT
+        const wktFilter = this.mode === 'geosparql'
+            ? `FILTER(<${GEOF}sfIntersects>(?wkt, "${bbox}"^^<${NS.GSP}wktLiteral>))`
+            : `BIND(STR(?wkt) AS ?wktText)
+                    FILTER(!STRSTARTS(?wktText, "<") || STRSTARTS(?wktText, "<${CRS84_IRI}>"))
+                    FILTER(!STRSTARTS(UCASE(?wktText), "SRID="))
+                    BIND(xsd:double(REPLACE(?wktText, "^[^(]*[(]+ *([-+0-9.eE]+) +([-+0-9.eE]+).*$", "$1", "s")) AS ?x)
+                    BIND(xsd:double(REPLACE(?wktText, "^[^(]*[(]+ *([-+0-9.eE]+) +([-+0-9.eE]+).*$", "$2", "s")) AS ?y)
+                    FILTER(?x >= ${west} && ?x <= ${east} && ?y >= ${south} && ?y <= ${north})`;
+
+        return `
+            PREFIX xsd: <${NS.XSD}>
+            SELECT ?resource ?wkt ?lat ?long (SAMPLE(?t) AS ?type) WHERE {
+                {
+                    ?resource <${NS.GSP}hasGeometry>|<${NS.GSP}hasDefaultGeometry> ?geometry .
+                    ?geometry <${NS.GSP}asWKT> ?wkt .
+                    ${wktFilter}
+                } UNION {
+                    ?resource <${NS.GEO}lat> ?lat ;
+                              <${NS.GEO}long> ?long .
+                    FILTER(xsd:double(?long) >= ${west} && xsd:double(?long) <= ${east} &&
+                           xsd:double(?lat) >= ${south} && xsd:double(?lat) <= ${north})
+                }
+                FILTER(?resource != ${sparqlIRI(this.app.resourceURI)})
+                OPTIONAL {
+                    ?resource a ?t .
+                    FILTER(?t NOT IN (${GENERIC_TYPES.map(sparqlIRI).join(', ')}))
+                }
+            }
+            GROUP BY ?resource ?wkt ?lat ?long
+            LIMIT ${NEARBY_FEATURE_LIMIT + 1}
+        `;
+    }
+
+    /**
+     * Query and draw the resources inside the current viewport
+     */
+    async refresh() {
+        if (!map.hasLayer(this.layer)) return;
+
+        const requestId = ++this.requestId;
+        const bounds = map.getBounds();
+        const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value)).toFixed(6);
+        const query = this.buildQuery(
+            clamp(bounds.getWest(), 180), clamp(bounds.getSouth(), 90),
+            clamp(bounds.getEast(), 180), clamp(bounds.getNorth(), 90)
+        );
+
+        this.setStatus('Loading nearby resources...');
+
+        try {
+            const bindings = await this.app.executeSelectQuery(query);
+            if (requestId !== this.requestId) return;
+
+            const capped = bindings.length > NEARBY_FEATURE_LIMIT;
+            const rows = bindings.slice(0, NEARBY_FEATURE_LIMIT);
+
+            const iris = rows.flatMap(b => [b.resource.value, ...(b.type ? [b.type.value] : [])]);
+            await this.app.loadLabels(iris);
+
+            const features = await Promise.all(rows.map(b => this.toFeature(b)));
+            if (requestId !== this.requestId) return;
+
+            this.layer.clearLayers();
+            this.drawn = features.filter(Boolean).map(feature => {
+                const layer = this.createLayer(feature);
+                this.layer.addLayer(layer);
+                return { resource: feature.resource, layer };
+            });
+            this.highlight(selection.active);
+            this.renderLegend(features.filter(Boolean));
+
+            const count = new Set(rows.map(b => b.resource.value)).size;
+            this.setStatus(capped
+                ? `Showing the first ${NEARBY_FEATURE_LIMIT} nearby geometries; zoom in to see all`
+                : `${count} nearby resource${count === 1 ? '' : 's'}`);
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('Error loading nearby resources:', error);
+            this.setStatus(`Could not load nearby resources: ${error.message}`);
+        }
+    }
+
+    /**
+     * Turn a result row into { resource, type, geojson }, reprojected to WGS 84
+     */
+    async toFeature(binding) {
+        let parsed;
+        if (binding.wkt) {
+            parsed = parseWKT(binding.wkt.value);
+        } else {
+            parsed = parseGeometry({ format: 'point', literal: `${binding.lat.value} ${binding.long.value}` });
+        }
+        if (!parsed.geojson) return null;
+
+        try {
+            await reprojectGeoJSON(parsed.geojson, parsed.crs, parsed.axisOrder);
+        } catch (error) {
+            return null;
+        }
+
+        return {
+            resource: binding.resource.value,
+            type: binding.type ? binding.type.value : null,
+            geojson: parsed.geojson
+        };
+    }
+
+    /**
+     * Color for an rdf:type, assigned in order of appearance
+     */
+    colorFor(type) {
+        const key = type || '';
+        if (!this.typeColors.has(key)) {
+            this.typeColors.set(key, NEARBY_COLORS[this.typeColors.size % NEARBY_COLORS.length]);
+        }
+        return this.typeColors.get(key);
+    }
+
+    /**
+     * Create the Leaflet layer for one nearby feature, with a popup linking
+     * to its dereferencer page
+     */
+    createLayer({ resource, type, geojson }) {
+        const color = this.colorFor(type);
+
+        const popup = document.createElement('div');
+        const link = document.createElement('a');
+        const localLink = this.app.makeLocalLink(resource);
+        link.href = localLink || externalHref(resource);
+        if (!localLink) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+        link.title = resource;
+        const strong = document.createElement('strong');
+        strong.textContent = this.app.displayName(resource);
+        link.appendChild(strong);
+        popup.appendChild(link);
+        if (type) {
+            const typeLine = document.createElement('div');
+            typeLine.className = 'small text-muted';
+            typeLine.textContent = this.app.displayName(type);
+            popup.appendChild(typeLine);
+        }
+
+        return L.geoJSON(geojson, {
+            style: { color, weight: 2, opacity: 0.8, fillColor: color, fillOpacity: 0.15 },
+            pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+                radius: 5,
+                fillColor: color,
+                color: '#fff',
+                weight: 1,
+                opacity: 1,
+                fillOpacity: 0.9
+            })
+        }).bindPopup(popup).on('click', () => {
+            if (!measurement) selection.select({ value: resource }, 'map');
+        });
+    }
+
+    /**
+     * Emphasize the nearby resources matching the linked selection
+     */
+    highlight(item) {
+        this.drawn.forEach(({ resource, layer }) => {
+            layer.resetStyle();
+            if (item && item.value === resource) {
+                layer.setStyle(GEOMETRY_HIGHLIGHT_STYLE);
+                if (map.hasLayer(layer)) layer.bringToFront();
+            }
+        });
+    }
+
+    /**
+     * List the types currently on the map with their colors
+     */
+    renderLegend(features) {
+        const container = document.getElementById('nearby-legend');
+        container.innerHTML = '';
+
+        const types = [...new Set(features.map(f => f.type || ''))];
+        types
+            .sort((a, b) => (a ? this.app.displayName(a) : '~').localeCompare(b ? this.app.displayName(b) : '~'))
+            .forEach(type => {
+                const row = document.createElement('div');
+                const swatch = document.createElement('span');
+                swatch.className = 'map-legend-swatch';
+                swatch.style.background = this.colorFor(type || null);
+                row.appendChild(swatch);
+                row.appendChild(document.createTextNode(type ? this.app.displayName(type) : 'Untyped'));
+                if (type) row.title = type;
+                container.appendChild(row);
+            });
+        container.style.display = types.length > 0 ? '' : 'none';
+    }
+
+    setStatus(text) {
+        document.getElementById('nearby-status').textContent = text;
+    }
+}
@@ -0,0 +1,363 @@
+/**
+ * Path Finder - How the current resource is connected to another one
+ * Bidirectional breadth-first search over SPARQL: each step queries the
+ * neighbours (both link directions) of the smaller frontier, until both
+ * frontiers meet or CONFIG.PATH_MAX_HOPS is reached. Queries run one at a
+ * time and the whole search is cancelled after CONFIG.PATH_TIMEOUT seconds.
+ * The shortest paths are listed as predicate chains and added to the graph.
+ */
+
+// Frontier resources per neighbour query
+const PATH_BATCH_SIZE = 40;
+
+// Maximum links returned per neighbour query; more are left unexplored
+const PATH_NEIGHBOR_LIMIT = 1000;
+
+// Maximum number of paths listed
+const PATH_RESULT_LIMIT = 10;
+
+// Number of suggestions shown for the second resource
+const PATH_SUGGESTION_LIMIT = 8;
+
+class PathFinder {
+    /**
+     * @param {URIDereferencer} dereferencer - App instance providing query and display helpers
+     */
+    constructor(dereferencer) {
+        this.app = dereferencer;
+        // Label search shared with the landing page
+        this.labelSearch = new LandingPage(dereferencer);
+        this.target = null;
+        this.controller = null;
+        this.suggestionTimer = null;
+        this.suggestionRequest = 0;
+        this.truncated = false;
+    }
+
+    /**
+     * Show the tool and wire the form (once)
+     */
+    init() {
+        const form = document.getElementById('connection-form');
+        const input = document.getElementById('connection-target');
+        const suggestions = document.getElementById('connection-suggestions');
+        const hops = document.getElementById('connection-hops');
+
+        document.getElementById('connection').style.display = 'block';
+        if (form.dataset.ready) return;
+        form.dataset.ready = 'true';
+
+        for (let count = 1; count <= CONFIG.PATH_MAX_HOPS; count++) {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = `${count} hop${count === 1 ? '' : 's'}`;
+            hops.appendChild(option);
+        }
+        hops.value = CONFIG.PATH_MAX_HOPS;
+
+        input.addEventListener('input', () => {
+            this.target = null;
+            clearTimeout(this.suggestionTimer);
+            const text = input.value.trim();
+            if (text.length < 2 || /^(https?|urn):/i.test(text)) {
+                suggestions.style.display = 'none';
+                return;
+            }
+            this.suggestionTimer = setTimeout(() => this.showSuggestions(text), SUGGESTION_DEBOUNCE);
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#connection-form')) {
+                suggestions.style.display = 'none';
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            suggestions.style.display = 'none';
+            const target = this.target || input.value.trim();
+            if (!/^(https?|urn):/i.test(target) || !isValidIRI(target)) {
+                this.setStatus('Choose a resource from the suggestions or paste its IRI.');
+                return;
+            }
+            if (target === this.app.resourceURI) {
+                this.setStatus('That is the current resource.');
+                return;
+            }
+            this.find(target, parseInt(hops.value, 10));
+        });
+
+        document.getElementById('connection-cancel').addEventListener('click', () => {
+            if (this.controller) this.controller.abort();
+        });
+    }
+
+    /**
+     * Stop the running search and empty the tool before another resource is shown
+     */
+    reset() {
+        const controller = this.controller;
+        this.controller = null;
+        if (controller) controller.abort();
+        clearTimeout(this.suggestionTimer);
+        this.suggestionRequest++;
+        this.target = null;
+
+        const input = document.getElementById('connection-target');
+        input.value = '';
+        input.title = '';
+        document.getElementById('connection-suggestions').style.display = 'none';
+        document.getElementById('connection-paths').innerHTML = '';
+        document.getElementById('connection-find').disabled = false;
+        document.getElementById('connection-cancel').style.display = 'none';
+        this.setStatus('');
+    }
+
+    /**
+     * Show label search suggestions; picking one sets the target IRI
+     */
+    async showSuggestions(text) {
+        const input = document.getElementById('connection-target');
+        const suggestions = document.getElementById('connection-suggestions');
+        const request = ++this.suggestionRequest;
+
+        let results;
+        try {
+            results = await this.labelSearch.search(text, PATH_SUGGESTION_LIMIT);
+        } catch (error) {
+            console.error('Error loading suggestions:', error);
+            return;
+        }
+        if (request !== this.suggestionRequest) return;
+
+        suggestions.innerHTML = '';
+        results
+            .filter(result => result.uri !== this.app.resourceURI)
+            .forEach(result => {
+                const item = document.createElement('li');
+                item.className = 'list-group-item p-0';
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'search-suggestion btn btn-link w-100 text-start';
+                const label = document.createElement('span');
+                label.className = 'search-result-label';
+                label.textContent = result.label;
+                const iri = document.createElement('span');
+                iri.className = 'search-result-iri';
+                iri.textContent = this.app.shortenURI(result.uri);
+                button.appendChild(label);
+                button.appendChild(iri);
+                button.addEventListener('click', () => {
+                    this.target = result.uri;
+                    input.value = result.label;
+                    input.title = result.uri;
+                    suggestions.style.display = 'none';
+                });
+                item.appendChild(button);
+                suggestions.appendChild(item);
+            });
+        suggestions.style.display = suggestions.children.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Search, then list and draw the paths; the search stops on cancel or timeout
+     */
+    async find(target, maxHops) {
+        if (this.controller) this.controller.abort();
+        const controller = new AbortController();
+        this.controller = controller;
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, CONFIG.PATH_TIMEOUT * 1000);
+
+        document.getElementById('connection-find').disabled = true;
+        document.getElementById('connection-cancel').style.display = '';
+        document.getElementById('connection-paths').innerHTML = '';
+
+        try {
+            const paths = await this.search(this.app.resourceURI, target, maxHops, controller.signal);
+            await this.renderPaths(paths, target, maxHops, controller.signal);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error finding connection:', error);
+                this.setStatus(`Could not find a connection: ${error.message}`);
+            } else if (timedOut) {
+                this.setStatus(`Stopped after ${CONFIG.PATH_TIMEOUT} s without finding a connection. Try fewer hops.`);
+            } else if (this.controller === controller) {
+                this.setStatus('Search cancelled.');
+            }
+        } finally {
+            clearTimeout(timer);
+            if (this.controller === controller) {
+                this.controller = null;
+                document.getElementById('connection-find').disabled = false;
+                document.getElementById('connection-cancel').style.display = 'none';
+            }
+        }
+    }
+
+    /**
+     * Bidirectional BFS from source and target. Each side maps every reached
+     * resource to the hops that first reached it: { from, to, predicate,
+     * forward }, where forward means the triple is `from predicate to`.
+     * Returns the shortest paths as arrays of hops from source to target.
+     */
+    async search(source, target, maxHops, signal) {
+        const sides = [source, target].map(start => ({
+            reached: new Map([[start, []]]),
+            frontier: [start],
+            depth: 0
+        }));
+        this.truncated = false;
+
+        while (sides[0].depth + sides[1].depth < maxHops) {
+            const [side, other] = sides[0].frontier.length <= sides[1].frontier.length
+                ? [sides[0], sides[1]]
+                : [sides[1], sides[0]];
+            if (side.frontier.length === 0) break;
+
+            const visited = sides[0].reached.size + sides[1].reached.size;
+            this.setStatus(`Searching ${sides[0].depth + sides[1].depth + 1} hop${sides[0].depth + sides[1].depth === 0 ? '' : 's'} apart, ${visited.toLocaleString()} resources visited...`);
+
+            const next = new Map();
+            for (const link of await this.neighbors(side.frontier, signal)) {
+                if (side.reached.has(link.to)) continue;
+                if (!next.has(link.to)) next.set(link.to, []);
+                next.get(link.to).push(link);
+            }
+            next.forEach((links, node) => side.reached.set(node, links));
+            side.frontier = [...next.keys()];
+            side.depth++;
+
+            const meeting = side.frontier.filter(node => other.reached.has(node));
+            if (meeting.length > 0) {
+                const paths = [];
+                for (const node of meeting) {
+                    for (const head of this.chainsTo(sides[0].reached, node)) {
+                        for (const tail of this.chainsTo(sides[1].reached, node)) {
+                            paths.push([...head, ...this.reverseChain(tail)]);
+                            if (paths.length >= PATH_RESULT_LIMIT) return paths;
+                        }
+                    }
+                }
+                return paths;
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Query the links of a frontier in batches, in both directions
+     */
+    async neighbors(frontier, signal) {
+        const links = [];
+        for (let start = 0; start < frontier.length; start += PATH_BATCH_SIZE) {
+            const batch = frontier.slice(start, start + PATH_BATCH_SIZE);
+            const query = `
+                SELECT DISTINCT ?node ?predicate ?neighbor ?forward WHERE {
+                    VALUES ?node { ${sparqlIRIs(batch)} }
+                    {
+                        ?node ?predicate ?neighbor .
+                        BIND(true AS ?forward)
+                    } UNION {
+                        ?neighbor ?predicate ?node .
+                        BIND(false AS ?forward)
+                    }
+                    FILTER(isIRI(?neighbor) && ?predicate != <${NS.RDF}type>)
+                }
+                LIMIT ${PATH_NEIGHBOR_LIMIT}
+            `;
+            const bindings = await this.app.executeSelectQuery(query, { signal });
+            if (bindings.length >= PATH_NEIGHBOR_LIMIT) this.truncated = true;
+            bindings.forEach(b => links.push({
+                from: b.node.value,
+                to: b.neighbor.value,
+                predicate: b.predicate.value,
+                forward: b.forward.value === 'true'
+            }));
+        }
+        return links;
+    }
+
+    /**
+     * All hop chains from a side's start to a reached resource, capped at
+     * PATH_RESULT_LIMIT
+     */
+    chainsTo(reached, node) {
+        const links = reached.get(node);
+        if (links.length === 0) return [[]];
+
+        const chains = [];
+        for (const link of links) {
+            for (const chain of this.chainsTo(reached, link.from)) {
+                chains.push([...chain, link]);
+                if (chains.length >= PATH_RESULT_LIMIT) return chains;
+            }
+        }
+        return chains;
+    }
+
+    /**
+     * Turn a chain found from the target into hops walking towards it
+     */
+    reverseChain(chain) {
+        return chain.slice().reverse().map(link => ({
+            from: link.to,
+            to: link.from,
+            predicate: link.predicate,
+            forward: !link.forward
+        }));
+    }
+
+    /**
+     * List the paths as predicate chains and add them to the graph
+     */
+    async renderPaths(paths, target, maxHops, signal) {
+        const list = document.getElementById('connection-paths');
+        list.innerHTML = '';
+
+        if (paths.length === 0) {
+            this.setStatus(`No connection within ${maxHops} hop${maxHops === 1 ? '' : 's'}.` +
+                (this.truncated ? ' Some highly connected resources were only partly explored.' : ''));
+            return;
+        }
+
+        const iris = [target];
+        paths.flat().forEach(link => iris.push(link.to, link.predicate));
+        await this.app.loadLabels(iris);
+        if (signal.aborted) return;
+
+        const { namedNode, quad } = N3.DataFactory;
+        const quads = [];
+        paths.forEach(path => {
+            const item = document.createElement('li');
+            item.appendChild(this.app.formatValue(namedNode(this.app.resourceURI)));
+            path.forEach(link => {
+                const step = document.createElement('span');
+                step.className = 'connection-step';
+                step.title = link.predicate;
+                const name = this.app.displayName(link.predicate);
+                step.textContent = link.forward ? ` —${name}→ ` : ` ←${name}— `;
+                item.appendChild(step);
+                item.appendChild(this.app.formatValue(namedNode(link.to)));
+
+                const [subject, object] = link.forward ? [link.from, link.to] : [link.to, link.from];
+                quads.push(quad(namedNode(subject), namedNode(link.predicate), namedNode(object)));
+            });
+            list.appendChild(item);
+        });
+
+        const hops = paths[0].length;
+        this.setStatus(`${paths.length === PATH_RESULT_LIMIT ? `First ${PATH_RESULT_LIMIT}` : paths.length} shortest path${paths.length === 1 ? '' : 's'}, ${hops} hop${hops === 1 ? '' : 's'}.`);
+
+        if (typeof window.showGraphPaths === 'function') {
+            window.showGraphPaths(quads, this.app.labels);
+        }
+    }
+
+    setStatus(text) {
+        document.getElementById('connection-status').textContent = text;
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * RDF Export - Client-side serialization of the loaded quads
+ * Turtle, N-Triples, N-Quads and TriG via N3.js, compact JSON-LD built from
+ * prefixes.json, CSV/TSV of the properties table, and a Turtle highlighter
+ * that turns IRIs into links.
+ */
+
+// Formats offered by the RDF viewer. `remote` formats are fetched from the
+// endpoint because N3.js cannot write them.
+const EXPORT_FORMATS = {
+    turtle:   { label: 'Turtle',    mime: 'text/turtle',               extension: 'ttl',    highlight: true },
+    ntriples: { label: 'N-Triples', mime: 'application/n-triples',     extension: 'nt',     highlight: true },
+    nquads:   { label: 'N-Quads',   mime: 'application/n-quads',       extension: 'nq',     highlight: true },
+    trig:     { label: 'TriG',      mime: 'application/trig',          extension: 'trig',   highlight: true },
+    jsonld:   { label: 'JSON-LD',   mime: 'application/ld+json',       extension: 'jsonld' },
+    rdfxml:   { label: 'RDF/XML',   mime: 'application/rdf+xml',       extension: 'rdf',    remote: true },
+    csv:      { label: 'CSV',       mime: 'text/csv',                  extension: 'csv' },
+    tsv:      { label: 'TSV',       mime: 'text/tab-separated-values', extension: 'tsv' }
+};
+
+// N3.Writer format names
+const N3_FORMATS = {
+    turtle: 'Turtle',
+    ntriples: 'N-Triples',
+    nquads: 'N-Quads',
+    trig: 'TriG'
+};
+
+/**
+ * Find the prefix declarations, from a { namespace: prefix } map, that the
+ * given quads use (longest namespace wins). Returns { prefix: namespace }.
+ * rdf:type predicates and implicit datatypes (plain and language-tagged
+ * strings) are skipped, as they are written without an IRI.
+ */
+function usedPrefixes(quads, prefixMap) {
+    const used = {};
+    quads.forEach(quad => {
+        const predicate = quad.predicate.value === NS.RDF + 'type' ? null : quad.predicate;
+        const datatype = quad.object.termType === 'Literal' && !quad.object.language &&
+            quad.object.datatype.value !== NS.XSD + 'string' ? quad.object.datatype : null;
+        [quad.subject, predicate, quad.object, quad.graph, datatype].forEach(term => {
+            if (!term || term.termType !== 'NamedNode') return;
+            let bestNs = '';
+            for (const namespace of Object.keys(prefixMap)) {
+                if (term.value.startsWith(namespace) && namespace.length > bestNs.length) {
+                    bestNs = namespace;
+                }
+            }
+            if (bestNs) used[prefixMap[bestNs]] = bestNs;
+        });
+    });
+    return used;
+}
+
+/**
+ * Drop graph names and duplicate triples, for triple-only formats
+ */
+function toTriples(quads) {
+    const { quad, defaultGraph } = N3.DataFactory;
+    const seen = new Set();
+    const triples = [];
+    quads.forEach(q => {
+        const key = `${q.subject.id} ${q.predicate.id} ${q.object.id}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        triples.push(quad(q.subject, q.predicate, q.object, defaultGraph()));
+    });
+    return triples;
+}
+
+/**
+ * Serialize quads to one of the N3.js formats or JSON-LD
+ */
+function serializeQuads(quads, formatKey, prefixMap) {
+    if (formatKey === 'jsonld') {
+        return Promise.resolve(JSON.stringify(quadsToJSONLD(quads, prefixMap), null, 2));
+    }
+
+    const keepsGraphs = formatKey === 'nquads' || formatKey === 'trig';
+    const data = keepsGraphs ? quads : toTriples(quads);
+    const prefixes = formatKey === 'turtle' || formatKey === 'trig' ? usedPrefixes(data, prefixMap) : {};
+
+    return new Promise((resolve, reject) => {
+        const writer = new N3.Writer({ format: N3_FORMATS[formatKey], prefixes });
+        writer.addQuads(data);
+        writer.end((error, result) => error ? reject(error) : resolve(result));
+    });
+}
+
+/**
+ * Build compacted JSON-LD: a context with the prefixes in use, one node
+ * object per subject, and one named-graph object per graph IRI
+ */
+function quadsToJSONLD(quads, prefixMap) {
+    const context = usedPrefixes(quads, prefixMap);
+    const namespaces = Object.entries(context);
+
+    const compact = (iri) => {
+        let best = null;
+        namespaces.forEach(([prefix, namespace]) => {
+            if (iri.startsWith(namespace) && (!best || namespace.length > best[1].length)) {
+                best = [prefix, namespace];
+            }
+        });
+        return best ? `${best[0]}:${iri.substring(best[1].length)}` : iri;
+    };
+
+    const nodeId = (term) => term.termType === 'BlankNode' ? `_:${term.value}` : compact(term.value);
+
+    const valueObject = (term) => {
+        if (term.termType !== 'Literal') return { '@id': nodeId(term) };
+        if (term.language) return { '@value': term.value, '@language': term.language };
+        if (term.datatype && term.datatype.value !== NS.XSD + 'string') {
+            return { '@value': term.value, '@type': compact(term.datatype.value) };
+        }
+        return term.value;
+    };
+
+    // graph IRI ('' for the default graph) → subject id → node object
+    const graphs = new Map();
+    quads.forEach(quad => {
+        const graph = quad.graph.termType === 'DefaultGraph' ? '' : quad.graph.value;
+        if (!graphs.has(graph)) graphs.set(graph, new Map());
+        const nodes = graphs.get(graph);
+
+        const id = nodeId(quad.subject);
+        if (!nodes.has(id)) nodes.set(id, { '@id': id });
+        const node = nodes.get(id);
+
+        const isType = quad.predicate.value === NS.RDF + 'type' && quad.object.termType === 'NamedNode';
+        const key = isType ? '@type' : compact(quad.predicate.value);
+        const value = isType ? compact(quad.object.value) : valueObject(quad.object);
+
+        if (!node[key]) node[key] = [];
+        if (!node[key].some(v => JSON.stringify(v) === JSON.stringify(value))) {
+            node[key].push(value);
+        }
+    });
+
+    // Single values are written without their array
+    const finish = (nodes) => [...nodes.values()].map(node => {
+        Object.keys(node).forEach(key => {
+            if (Array.isArray(node[key]) && node[key].length === 1) node[key] = node[key][0];
+        });
+        return node;
+    });
+
+    const graph = finish(graphs.get('') || new Map());
+    graphs.forEach((nodes, graphIRI) => {
+        if (graphIRI) graph.push({ '@id': compact(graphIRI), '@graph': finish(nodes) });
+    });
+
+    return { '@context': context, '@graph': graph };
+}
+
+/**
+ * Join rows into CSV (RFC 4180 quoting) or TSV (tabs and newlines escaped)
+ */
+function toDelimited(rows, delimiter) {
+    const field = delimiter === ','
+        ? (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+        : (value) => value.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r?\n/g, '\\n');
+    return rows.map(row => row.map(value => field(String(value ?? ''))).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Save text as a file through a temporary object URL
+ */
+function downloadText(text, mime, fileName) {
+    downloadBlob(new Blob([text], { type: `${mime};charset=utf-8` }), fileName);
+}
+
+/**
+ * Save a blob as a file through a temporary object URL
+ */
+function downloadBlob(blob, fileName) {
+    const anchor = document.createElement('a');
+    anchor.href = URL.createObjectURL(blob);
+    anchor.download = fileName;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    setTimeout(() => URL.revokeObjectURL(anchor.href), 0);
+}
+
+// Turtle/TriG/N-Triples tokens: comment, IRI, string, language tag or
+// keyword, datatype marker, blank node, prefixed name, number
+const TURTLE_TOKEN = new RegExp([
+    '(#[^\\n]*)',
+    '(<[^>\\s]*>)',
+    '("""[\\s\\S]*?"""|\'\'\'[\\s\\S]*?\'\'\'|"(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\')',
+    '(@[A-Za-z]+(?:-[A-Za-z0-9]+)*)',
+    '(\\^\\^)',
+    '(_:[\\w.-]*[\\w-])',
+    '((?:[A-Za-z][\\w.-]*)?:(?:[\\w%-](?:[\\w.%-]*[\\w%-])?)?)',
+    '([+-]?(?:\\d+\\.?\\d*(?:[eE][+-]?\\d+)?|\\.\\d+))'
+].join('|'), 'g');
+
+/**
+ * Highlight Turtle-family text into a DocumentFragment. IRIs and prefixed
+ * names become links; `linkFor(iri)` returns a local path or null for
+ * external IRIs.
+ */
+function highlightTurtle(text, linkFor) {
+    const fragment = document.createDocumentFragment();
+
+    // Prefixes declared in the document, to expand prefixed names
+    const prefixes = {};
+    text.replace(/^\s*(?:@prefix|PREFIX)\s+([\w.-]*):\s*<([^>]*)>/gim, (_, prefix, namespace) => {
+        prefixes[prefix] = namespace;
+    });
+
+    const span = (className, content) => {
+        const element = document.createElement('span');
+        element.className = className;
+        element.textContent = content;
+        return element;
+    };
+
+    const link = (iri, content) => {
+        const anchor = document.createElement('a');
+        const localLink = linkFor(iri);
+        anchor.className = 'tok-iri';
+        anchor.textContent = content;
+        anchor.title = iri;
+        anchor.href = localLink || externalHref(iri);
+        if (!localLink) {
+            anchor.target = '_blank';
+            anchor.rel = 'noopener noreferrer';
+        }
+        return anchor;
+    };
+
+    let position = 0;
+    let match;
+    TURTLE_TOKEN.lastIndex = 0;
+    while ((match = TURTLE_TOKEN.exec(text)) !== null) {
+        if (match[0] === '') {
+            TURTLE_TOKEN.lastIndex++;
+            continue;
+        }
+        if (match.index > position) {
+            fragment.appendChild(document.createTextNode(text.substring(position, match.index)));
+        }
+
+        const [token, comment, iri, string, at, caret, bnode, pname, number] = match;
+        if (comment) {
+            fragment.appendChild(span('tok-comment', token));
+        } else if (iri) {
+            fragment.appendChild(/^<(https?|urn):/i.test(iri) ? link(iri.slice(1, -1), token) : span('tok-iri', token));
+        } else if (string) {
+            fragment.appendChild(span('tok-string', token));
+        } else if (at) {
+            fragment.appendChild(span(/^@(prefix|base)$/i.test(at) ? 'tok-keyword' : 'tok-lang', token));
+        } else if (caret) {
+            fragment.appendChild(span('tok-punct', token));
+        } else if (bnode) {
+            fragment.appendChild(span('tok-bnode', token));
+        } else if (pname) {
+            const [prefix, local] = [pname.substring(0, pname.indexOf(':')), pname.substring(pname.indexOf(':') + 1)];
+            fragment.appendChild(prefixes[prefix] !== undefined && local
+                ? link(prefixes[prefix] + local, token)
+                : span('tok-prefix', token));
+        } else if (number) {
+            fragment.appendChild(span('tok-number', token));
+        }
+
+        position = match.index + token.length;
+    }
+
+    if (position < text.length) {
+        fragment.appendChild(document.createTextNode(text.substring(position)));
+    }
+    return fragment;
+}
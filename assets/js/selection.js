@@ -0,0 +1,76 @@
+/**
+ * Linked Selection - Shared hover/selection state of the properties table,
+ * the graph and the map
+ * An item is { value, predicate? }: the value of an RDF term (IRI, blank
+ * node label or literal lexical form) and, optionally, the property of the
+ * resource that points to it. Views publish what the user hovers or clicks
+ * and highlight whatever is active, the hovered item before the selected one.
+ */
+
+class LinkedSelection {
+    constructor() {
+        this.selected = null;
+        this.hovered = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Register a view; `listener(item, source)` is called with the active
+     * item (or null) and the name of the view that changed it
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Item currently highlighted in every view
+     */
+    get active() {
+        return this.hovered || this.selected;
+    }
+
+    hover(item, source) {
+        this.hovered = item;
+        this.notify(source);
+    }
+
+    /**
+     * Select an item; selecting the selected item again clears the selection
+     */
+    select(item, source) {
+        this.selected = item && !LinkedSelection.matches(this.selected, item) ? item : null;
+        this.notify(source);
+    }
+
+    clear(source) {
+        this.selected = null;
+        this.hovered = null;
+        this.notify(source);
+    }
+
+    notify(source) {
+        const item = this.active;
+        this.listeners.forEach(listener => {
+            try {
+                listener(item, source);
+            } catch (error) {
+                console.error('Selection listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Whether a candidate { value, predicate } matches an item; the
+     * predicate only counts when both sides have one
+     */
+    static matches(item, candidate) {
+        if (!item || !candidate || item.value !== candidate.value) return false;
+        return !item.predicate || !candidate.predicate || item.predicate === candidate.predicate;
+    }
+}
+
+const selection = new LinkedSelection();
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && selection.selected) selection.clear('keyboard');
+});
@@ -0,0 +1,275 @@
+/**
+ * SPARQL Cache - Persistent response cache under the SPARQL client
+ * Responses are kept in IndexedDB per endpoint, query and media type. They
+ * are used without asking the endpoint for CONFIG.CACHE_TTL seconds (per
+ * query form), then revalidated with If-None-Match/If-Modified-Since when
+ * the endpoint sent an ETag or Last-Modified. The least recently used
+ * responses are evicted beyond CONFIG.CACHE_MAX_SIZE megabytes. When the
+ * endpoint cannot be reached, cached responses of any age are served and
+ * the page says so.
+ */
+
+const CACHE_DB_NAME = 'dereferencer-cache';
+const CACHE_DB_VERSION = 1;
+
+// Freshness in seconds for query forms missing from CONFIG.CACHE_TTL
+const CACHE_DEFAULT_TTL = { describe: 300, select: 300, ask: 3600 };
+
+/**
+ * Promise for an IndexedDB request
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Promise that settles with an IndexedDB transaction
+ */
+function idbTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+class SPARQLCache {
+    /**
+     * @param {object} ttl     - Seconds a response stays fresh, per query
+     *   form: { describe, select, ask }; 0 turns caching off for that form
+     * @param {number} maxSize - Size cap in megabytes; 0 turns the cache off
+     */
+    constructor(ttl, maxSize) {
+        this.ttl = { ...CACHE_DEFAULT_TTL, ...(ttl || {}) };
+        this.maxSize = maxSize * 1024 * 1024;
+        this.db = null;
+        // Storage time of the oldest response served while the endpoint was unreachable
+        this.offlineSince = null;
+        this.statusTimer = null;
+    }
+
+    get enabled() {
+        return this.maxSize > 0 && typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database once; resolves with null when IndexedDB is unusable
+     * (e.g. some private browsing modes), which leaves the cache off
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('responses', { keyPath: 'key' });
+                    db.createObjectStore('usage', { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                console.warn('Response cache unavailable:', error);
+                return null;
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Query form: 'describe' (DESCRIBE and CONSTRUCT), 'ask' or 'select'
+     */
+    static kind(query) {
+        const form = /^\s*(?:(?:PREFIX\s+[^:\s]*:\s*|BASE\s+)<[^>]*>\s*)*(SELECT|ASK|DESCRIBE|CONSTRUCT)\b/i.exec(query);
+        if (!form) return 'select';
+        const keyword = form[1].toUpperCase();
+        return keyword === 'ASK' ? 'ask' : keyword === 'SELECT' ? 'select' : 'describe';
+    }
+
+    key(endpoint, query, accept) {
+        return `${endpoint}\n${accept}\n${query}`;
+    }
+
+    /**
+     * Cached response with `fresh` telling whether it is within its TTL;
+     * null when nothing is cached
+     */
+    async get(endpoint, query, accept) {
+        const ttl = this.ttl[SPARQLCache.kind(query)];
+        const db = this.enabled && ttl > 0 ? await this.open() : null;
+        if (!db) return null;
+
+        try {
+            const key = this.key(endpoint, query, accept);
+            const transaction = db.transaction(['responses', 'usage'], 'readwrite');
+            const entry = await idbRequest(transaction.objectStore('responses').get(key));
+            if (entry) {
+                transaction.objectStore('usage').put({ key, size: entry.size, lastUsed: Date.now() });
+            }
+            await idbTransaction(transaction);
+            if (!entry) return null;
+            return { ...entry, fresh: Date.now() - entry.storedAt < ttl * 1000 };
+        } catch (error) {
+            console.warn('Could not read the response cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a response with its validators, then evict beyond the size cap
+     */
+    async put(endpoint, query, accept, { text, etag, lastModified }) {
+        const db = this.enabled && this.ttl[SPARQLCache.kind(query)] > 0 ? await this.open() : null;
+        if (!db) return;
+
+        try {
+            const key = this.key(endpoint, query, accept);
+            const size = key.length + text.length;
+            const now = Date.now();
+            const transaction = db.transaction(['responses', 'usage'], 'readwrite');
+            transaction.objectStore('responses').put({ key, text, etag, lastModified, size, storedAt: now });
+            transaction.objectStore('usage').put({ key, size, lastUsed: now });
+            await idbTransaction(transaction);
+            await this.evict(db);
+        } catch (error) {
+            console.warn('Could not write the response cache:', error);
+        }
+        this.scheduleStatus();
+    }
+
+    /**
+     * The endpoint confirmed (304) that a cached response is still current
+     */
+    async revalidated(entry) {
+        const db = await this.open();
+        if (!db) return;
+        try {
+            const transaction = db.transaction('responses', 'readwrite');
+            const { fresh, ...stored } = entry;
+            transaction.objectStore('responses').put({ ...stored, storedAt: Date.now() });
+            await idbTransaction(transaction);
+        } catch (error) {
+            console.warn('Could not write the response cache:', error);
+        }
+    }
+
+    /**
+     * Drop one response, e.g. when it turned out to be unparseable
+     */
+    async remove(endpoint, query, accept) {
+        const db = this.enabled ? await this.open() : null;
+        if (!db) return;
+        try {
+            const key = this.key(endpoint, query, accept);
+            const transaction = db.transaction(['responses', 'usage'], 'readwrite');
+            transaction.objectStore('responses').delete(key);
+            transaction.objectStore('usage').delete(key);
+            await idbTransaction(transaction);
+        } catch (error) {
+            console.warn('Could not write the response cache:', error);
+        }
+    }
+
+    /**
+     * Delete the least recently used responses until the cache fits its cap
+     */
+    async evict(db) {
+        const usage = await idbRequest(db.transaction('usage').objectStore('usage').index('lastUsed').getAll());
+        let total = usage.reduce((sum, entry) => sum + entry.size, 0);
+        const evicted = [];
+        for (const entry of usage) {
+            if (total <= this.maxSize) break;
+            evicted.push(entry.key);
+            total -= entry.size;
+        }
+        if (evicted.length === 0) return;
+
+        const transaction = db.transaction(['responses', 'usage'], 'readwrite');
+        evicted.forEach(key => {
+            transaction.objectStore('responses').delete(key);
+            transaction.objectStore('usage').delete(key);
+        });
+        await idbTransaction(transaction);
+    }
+
+    /**
+     * Number of cached responses and their approximate size in bytes
+     */
+    async stats() {
+        const db = this.enabled ? await this.open() : null;
+        if (!db) return { count: 0, size: 0 };
+        const usage = await idbRequest(db.transaction('usage').objectStore('usage').getAll());
+        return { count: usage.length, size: usage.reduce((sum, entry) => sum + entry.size, 0) };
+    }
+
+    async clear() {
+        const db = this.enabled ? await this.open() : null;
+        if (!db) return;
+        const transaction = db.transaction(['responses', 'usage'], 'readwrite');
+        transaction.objectStore('responses').clear();
+        transaction.objectStore('usage').clear();
+        await idbTransaction(transaction);
+        this.scheduleStatus();
+    }
+
+    /**
+     * A cached response was used because the endpoint could not be reached
+     */
+    servedOffline(entry) {
+        if (this.offlineSince === null || entry.storedAt < this.offlineSince) {
+            this.offlineSince = entry.storedAt;
+        }
+        const notice = document.getElementById('offline-notice');
+        if (!notice) return;
+        document.getElementById('offline-since').textContent = new Date(this.offlineSince).toLocaleString();
+        notice.style.display = 'block';
+    }
+
+    /**
+     * Hide the notice when another page is shown; it comes back when that
+     * page is served from the cache too
+     */
+    hideOfflineNotice() {
+        this.offlineSince = null;
+        const notice = document.getElementById('offline-notice');
+        if (notice) notice.style.display = 'none';
+    }
+
+    /**
+     * Show the cache size and wire the clear button
+     */
+    setupControl() {
+        if (!this.enabled) return;
+
+        document.getElementById('cache-clear').addEventListener('click', async () => {
+            try {
+                await this.clear();
+            } catch (error) {
+                console.error('Could not clear the response cache:', error);
+            }
+        });
+        document.getElementById('cache').style.display = '';
+        this.updateStatus();
+    }
+
+    scheduleStatus() {
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => this.updateStatus(), 1000);
+    }
+
+    async updateStatus() {
+        const status = document.getElementById('cache-status');
+        if (!status) return;
+        try {
+            const { count, size } = await this.stats();
+            status.textContent = `${count.toLocaleString()} cached response${count === 1 ? '' : 's'}, ${(size / 1024 / 1024).toFixed(1)} MB`;
+            document.getElementById('cache-clear').disabled = count === 0;
+        } catch (error) {
+            status.textContent = 'Cache unavailable';
+        }
+    }
+}
+
+const sparqlCache = new SPARQLCache(CONFIG.CACHE_TTL, CONFIG.CACHE_MAX_SIZE);
@@ -0,0 +1,271 @@
+/**
+ * SPARQL Client - Shared transport for every query the browser sends
+ * Queries go out as GET, or as a form-encoded POST when the URL would be
+ * too long for proxies. Each attempt is cancelled after CONFIG.SPARQL_TIMEOUT
+ * seconds; unreachable endpoints and transient HTTP errors are retried with
+ * exponential backoff (all queries are reads, so retrying is safe). Failures
+ * are reported as a SPARQLError saying what went wrong. After an OIDC
+ * login (auth.js) the access token is sent with every query to an endpoint
+ * the browser queries directly. Responses to anonymous queries are cached in
+ * sparql-cache.js, which also stands in for unreachable endpoints.
+ */
+
+// Longest GET URL; longer queries are POSTed
+const SPARQL_GET_LIMIT = 2000;
+
+// Retries after the first attempt, and the delay before the first retry
+// (doubled for each further one)
+const SPARQL_RETRIES = 2;
+const SPARQL_RETRY_DELAY = 500;
+
+// HTTP statuses worth retrying: rate limits and overloaded or restarting
+// endpoints and proxies
+const SPARQL_RETRY_STATUSES = [408, 429, 502, 503, 504];
+
+// Endpoints whose CORS rules refused a conditional request (If-None-Match is
+// not a safelisted header); they are asked unconditionally from then on
+const SPARQL_UNCONDITIONAL = new Set();
+
+const SPARQL_ERROR_TITLES = {
+    unreachable: 'Endpoint unreachable',
+    timeout: 'Query timeout',
+    malformed: 'Malformed response',
+    unauthorized: 'Not authorized',
+    status: 'Endpoint error'
+};
+
+class SPARQLError extends Error {
+    /**
+     * @param {string} kind - 'unreachable' (network or CORS), 'timeout',
+     *   'malformed' (unparseable response), 'unauthorized' (401/403) or
+     *   'status' (other HTTP errors)
+     * @param {string} message - Explanation for the user
+     * @param {number} [status] - HTTP status, for 'status'
+     */
+    constructor(kind, message, status) {
+        super(message);
+        this.name = 'SPARQLError';
+        this.kind = kind;
+        this.title = SPARQL_ERROR_TITLES[kind];
+        this.status = status;
+    }
+}
+
+function abortError() {
+    return new DOMException('The query was cancelled', 'AbortError');
+}
+
+/**
+ * Wait before a retry; rejects with an AbortError when the caller cancels
+ */
+function sparqlDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(abortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class SPARQLClient {
+    /**
+     * @param {string} endpoint - SPARQL endpoint URL
+     * @param {object} [options]
+     * @param {number} [options.timeout] - Seconds per attempt
+     * @param {number} [options.retries] - Retries after the first attempt
+     */
+    constructor(endpoint, { timeout = CONFIG.SPARQL_TIMEOUT, retries = SPARQL_RETRIES } = {}) {
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+        this.retries = retries;
+    }
+
+    /**
+     * Run a query and return the response body, from the cache while it is
+     * fresh or while the endpoint is down. Cancelling `signal` rejects with
+     * the usual AbortError; everything else fails with a SPARQLError.
+     */
+    async fetchText(query, accept, { signal } = {}) {
+        const cached = await sparqlCache.get(this.endpoint, query, accept);
+        if (cached && cached.fresh) return cached.text;
+
+        let response;
+        try {
+            response = await this.send(query, accept, signal, cached);
+        } catch (error) {
+            if (cached && (error.kind === 'unreachable' || error.kind === 'timeout' ||
+                (error.kind === 'status' && error.status >= 500))) {
+                sparqlCache.servedOffline(cached);
+                return cached.text;
+            }
+            throw error;
+        }
+
+        if (response.notModified) {
+            sparqlCache.revalidated(cached);
+            return cached.text;
+        }
+        // What a login gives access to is never stored: the cache is
+        // shared by everyone using this browser and outlives the login
+        if (!response.authorized) sparqlCache.put(this.endpoint, query, accept, response);
+        return response.text;
+    }
+
+    /**
+     * Send a query, retrying transient failures; revalidates `cached` when
+     * it has an ETag or Last-Modified
+     */
+    async send(query, accept, signal, cached) {
+        let validators = cached && (cached.etag || cached.lastModified) && !SPARQL_UNCONDITIONAL.has(this.endpoint)
+            ? cached
+            : null;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(query, accept, signal, validators);
+            } catch (error) {
+                if (error.kind === 'unreachable' && validators) {
+                    SPARQL_UNCONDITIONAL.add(this.endpoint);
+                    validators = null;
+                }
+                const transient = error.kind === 'unreachable' ||
+                    (error.kind === 'status' && SPARQL_RETRY_STATUSES.includes(error.status));
+                if (!transient || attempt >= this.retries) throw error;
+                await sparqlDelay(error.retryAfter || SPARQL_RETRY_DELAY * 2 ** attempt, signal);
+            }
+        }
+    }
+
+    /**
+     * One request, aborted after the timeout or when the caller cancels.
+     * Resolves with { text, etag, lastModified, authorized } (authorized:
+     * sent with an access token), or { notModified } when the endpoint
+     * answers a conditional GET with 304.
+     */
+    async attempt(query, accept, signal, validators) {
+        if (signal && signal.aborted) throw abortError();
+
+        // The proxy never passes the browser's own token on
+        const token = CONFIG.SPARQL_PROXY ? null : await auth.accessToken();
+        const headers = { 'Accept': accept };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout * 1000);
+        const cancel = () => controller.abort();
+        if (signal) signal.addEventListener('abort', cancel, { once: true });
+
+        const body = new URLSearchParams({ query }).toString();
+        const url = `${this.endpoint}${this.endpoint.includes('?') ? '&' : '?'}${body}`;
+        const post = url.length > SPARQL_GET_LIMIT;
+        if (validators && !post) {
+            if (validators.etag) headers['If-None-Match'] = validators.etag;
+            if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+        }
+
+        try {
+            const response = await fetch(post ? this.endpoint : url, {
+                method: post ? 'POST' : 'GET',
+                headers: post ? { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' } : headers,
+                body: post ? body : undefined,
+                signal: controller.signal
+            });
+            if (response.status === 304 && validators) {
+                return { notModified: true };
+            }
+            if (response.status === 401 || response.status === 403) {
+                throw new SPARQLError('unauthorized',
+                    `The SPARQL endpoint ${this.endpoint} refused the query (HTTP ${response.status}).` +
+                    (auth.enabled && !CONFIG.SPARQL_PROXY && !token ? ' Log in to see this data.' : ''), response.status);
+            }
+            if (!response.ok) {
+                const error = new SPARQLError('status',
+                    `The SPARQL endpoint ${this.endpoint} answered with HTTP status ${response.status}.`, response.status);
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+                if (retryAfter > 0) error.retryAfter = Math.min(retryAfter, this.timeout) * 1000;
+                throw error;
+            }
+            return {
+                text: await response.text(),
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified'),
+                authorized: Boolean(token)
+            };
+        } catch (error) {
+            if (error instanceof SPARQLError) throw error;
+            if (timedOut) {
+                throw new SPARQLError('timeout',
+                    `The SPARQL endpoint ${this.endpoint} did not answer within ${this.timeout} seconds.`);
+            }
+            if (error.name === 'AbortError') throw error;
+            // Network failures and CORS refusals look the same from here
+            throw new SPARQLError('unreachable',
+                `The SPARQL endpoint ${this.endpoint} could not be reached. It may be down, ` +
+                'or it may not allow requests from this site (CORS).');
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', cancel);
+        }
+    }
+
+    /**
+     * Run a SELECT query and return its result bindings
+     */
+    async select(query, options) {
+        return (await this.results(query, options)).results.bindings;
+    }
+
+    /**
+     * Run an ASK query
+     */
+    async ask(query, options) {
+        return (await this.results(query, options)).boolean === true;
+    }
+
+    /**
+     * Run a DESCRIBE or CONSTRUCT query and return its triples
+     */
+    async triples(query, options) {
+        const accept = 'application/n-triples';
+        const ntriples = await this.fetchText(query, accept, options);
+        try {
+            return new N3.Parser().parse(ntriples);
+        } catch (error) {
+            sparqlCache.remove(this.endpoint, query, accept);
+            throw new SPARQLError('malformed',
+                `The SPARQL endpoint ${this.endpoint} returned RDF that could not be parsed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a SELECT or ASK query and return the parsed SPARQL JSON results
+     */
+    async results(query, options) {
+        const accept = 'application/sparql-results+json';
+        const text = await this.fetchText(query, accept, options);
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            data = null;
+        }
+        if (!data || (!(data.results && Array.isArray(data.results.bindings)) && typeof data.boolean !== 'boolean')) {
+            sparqlCache.remove(this.endpoint, query, accept);
+            throw new SPARQLError('malformed',
+                `The SPARQL endpoint ${this.endpoint} returned a response that is not SPARQL JSON results.`);
+        }
+        return data;
+    }
+}
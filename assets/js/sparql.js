@@ -0,0 +1,95 @@
+/**
+ * SPARQL Terms - Safe interpolation of values into queries
+ * IRIs are checked against the IRI syntax of RFC 3987 before they are
+ * written as <IRIREF>, so a value taken from the URL or from query results
+ * can never close the IRI and change the query. Text is written as an
+ * escaped string literal.
+ */
+
+// RFC 3987 character classes, for a regular expression with the `u` flag
+const IRI_UCSCHAR = '\\u00A0-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFEF' +
+    Array.from({ length: 13 }, (_, i) => (i + 1).toString(16).toUpperCase())
+        .map(plane => `\\u{${plane}0000}-\\u{${plane}FFFD}`).join('') +
+    '\\u{E1000}-\\u{EFFFD}';
+const IRI_PRIVATE = '\\uE000-\\uF8FF\\u{F0000}-\\u{FFFFD}\\u{100000}-\\u{10FFFD}';
+const IRI_UNRESERVED = `A-Za-z0-9\\-._~${IRI_UCSCHAR}`;
+const IRI_SUB_DELIMS = "!$&'()*+,;=";
+const IRI_PCT = '%[0-9A-Fa-f]{2}';
+const IRI_PCHAR = `(?:[${IRI_UNRESERVED}${IRI_SUB_DELIMS}:@]|${IRI_PCT})`;
+const IRI_HOST = `(?:\\[(?:[0-9A-Fa-f:.]+|v[0-9A-Fa-f]+\\.[A-Za-z0-9\\-._~${IRI_SUB_DELIMS}:]+)\\]|(?:[${IRI_UNRESERVED}${IRI_SUB_DELIMS}]|${IRI_PCT})*)`;
+const IRI_AUTHORITY = `(?:(?:[${IRI_UNRESERVED}${IRI_SUB_DELIMS}:]|${IRI_PCT})*@)?${IRI_HOST}(?::[0-9]*)?`;
+const IRI_PATTERN = new RegExp(
+    '^[A-Za-z][A-Za-z0-9+\\-.]*:' +
+    `(?://${IRI_AUTHORITY}(?:/${IRI_PCHAR}*)*|/(?:${IRI_PCHAR}+(?:/${IRI_PCHAR}*)*)?|${IRI_PCHAR}+(?:/${IRI_PCHAR}*)*)?` +
+    `(?:\\?(?:${IRI_PCHAR}|[${IRI_PRIVATE}/?])*)?` +
+    `(?:#(?:${IRI_PCHAR}|[/?])*)?$`,
+    'u'
+);
+
+// Characters that may never appear in an IRI, whatever their position
+const IRI_FORBIDDEN = /[\u0000- <>"{}|\\^`\u007F-\u009F]/u;
+
+class InvalidIRIError extends Error {
+    /**
+     * @param {string} iri - The rejected value
+     * @param {string} reason - What is wrong with it
+     */
+    constructor(iri, reason) {
+        super(`Not a valid IRI (${reason}): ${iri}`);
+        this.name = 'InvalidIRIError';
+        this.iri = iri;
+        this.reason = reason;
+    }
+}
+
+/**
+ * What makes a value an invalid absolute IRI, or null when it is valid
+ */
+function iriProblem(value) {
+    if (typeof value !== 'string' || value === '') return 'empty';
+
+    const forbidden = IRI_FORBIDDEN.exec(value);
+    if (forbidden) {
+        const code = forbidden[0].codePointAt(0);
+        const shown = code > 0x20 && code < 0x7F ? `"${forbidden[0]}"` : `U+${code.toString(16).toUpperCase().padStart(4, '0')}`;
+        return `${shown} at position ${forbidden.index + 1}`;
+    }
+    if (!/^[A-Za-z][A-Za-z0-9+\-.]*:/.test(value)) return 'no scheme';
+    if (/%(?![0-9A-Fa-f]{2})/.test(value)) return 'malformed percent-encoding';
+    if (!IRI_PATTERN.test(value)) return 'does not match the RFC 3987 syntax';
+    return null;
+}
+
+function isValidIRI(value) {
+    return iriProblem(value) === null;
+}
+
+/**
+ * Write an IRI as a SPARQL IRIREF; throws InvalidIRIError when it is not
+ * a valid IRI
+ */
+function sparqlIRI(iri) {
+    const problem = iriProblem(iri);
+    if (problem) throw new InvalidIRIError(iri, problem);
+    return `<${iri}>`;
+}
+
+/**
+ * Write IRIs for a VALUES block, separated by spaces. Invalid IRIs (e.g.
+ * from untidy data in the endpoint) are left out.
+ */
+function sparqlIRIs(iris) {
+    return iris.filter(isValidIRI).map(iri => `<${iri}>`).join(' ');
+}
+
+/**
+ * Quote text as a SPARQL string literal
+ */
+function sparqlString(text) {
+    return '"' + String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t') + '"';
+}
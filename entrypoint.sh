@@ -1,12 +1,170 @@
 #!/bin/sh
 set -e
 
+# Stop the container start: values that are written into config.js or
+# nginx.conf as they are must be valid there
+fail() {
+    echo "Invalid configuration: $1" >&2
+    exit 1
+}
+
+# check_boolean NAME VALUE
+check_boolean() {
+    case "$2" in
+        true|false) ;;
+        *) fail "$1 must be true or false, not '$2'" ;;
+    esac
+}
+
+# check_number NAME VALUE: zero or more, decimals allowed
+check_number() {
+    printf '%s' "$2" | grep -Eq '^[0-9]+(\.[0-9]+)?$' || fail "$1 must be a number, not '$2'"
+}
+
+# check_integer NAME VALUE: zero or more
+check_integer() {
+    printf '%s' "$2" | grep -Eq '^[0-9]+$' || fail "$1 must be a whole number, not '$2'"
+}
+
+# check_choice NAME VALUE CHOICE...
+check_choice() {
+    name=$1
+    value=$2
+    shift 2
+    for choice in "$@"; do
+        [ "$value" = "$choice" ] && return 0
+    done
+    fail "$name must be one of: $*; not '$value'"
+}
+
+# check_json NAME VALUE FILTER DESCRIPTION: FILTER (jq) must hold for VALUE
+check_json() {
+    printf '%s' "$2" | jq -e "$3" > /dev/null 2>&1 || fail "$1 must be $4"
+}
+
 # Default values
 SPARQL_ENDPOINT=${SPARQL_ENDPOINT:-https://jena.matdata.eu/rinf/sparql}
 BASE_URI=${BASE_URI:-https://data.matdata.eu}
+SEARCH_MODE=${SEARCH_MODE:-contains}
+NAMED_GRAPHS=${NAMED_GRAPHS:-false}
+REDIRECT_303=${REDIRECT_303:-false}
+SERVER_RENDERING=${SERVER_RENDERING:-true}
+SPARQL_TIMEOUT=${SPARQL_TIMEOUT:-30}
+MAP_CENTER=${MAP_CENTER:-50.8503,4.3517}
+MAP_ZOOM=${MAP_ZOOM:-13}
+NEARBY_MODE=${NEARBY_MODE:-auto}
+CRS_REGISTRY=${CRS_REGISTRY:-/assets/data/crs.json}
+CRS_LOOKUP_URL=${CRS_LOOKUP_URL:-}
+PATH_MAX_HOPS=${PATH_MAX_HOPS:-4}
+PATH_TIMEOUT=${PATH_TIMEOUT:-30}
+OIDC_ISSUER=${OIDC_ISSUER:-}
+OIDC_CLIENT_ID=${OIDC_CLIENT_ID:-}
+OIDC_SCOPE=${OIDC_SCOPE:-openid}
+CACHE_MAX_SIZE=${CACHE_MAX_SIZE:-50}
+LABEL_PROPERTIES=${LABEL_PROPERTIES:-http://www.w3.org/2000/01/rdf-schema#label,http://www.w3.org/2004/02/skos/core#prefLabel,http://schema.org/name}
+
+# JSON array of tile/WMS layers; "[]" disables the basemap
+if [ -z "$BASE_LAYERS" ]; then
+    BASE_LAYERS='[{"name": "OpenStreetMap", "url": "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", "attribution": "&copy; <a href=\"https://www.openstreetmap.org/copyright\">OpenStreetMap</a> contributors", "maxZoom": 19}]'
+fi
+
+# JSON object of the seconds cached responses stay fresh, per query form
+if [ -z "$CACHE_TTL" ]; then
+    CACHE_TTL='{"describe": 300, "select": 300, "ask": 3600}'
+fi
+
+# JSON array of further datasets ({"namespace", "endpoint"}), inline or
+# from a mounted file
+if [ -n "$DATASETS_FILE" ]; then
+    [ -r "$DATASETS_FILE" ] || fail "DATASETS_FILE $DATASETS_FILE cannot be read"
+    DATASETS=$(cat "$DATASETS_FILE")
+fi
+DATASETS=${DATASETS:-[]}
+
+# Credentials for SPARQL_ENDPOINT, added by the nginx proxy only; kept as
+# JSON (jq --arg), so tokens and passwords need no escaping
+SPARQL_AUTH_CREDENTIALS=""
+SPARQL_AUTH_MODE="none"
+if [ -n "$SPARQL_AUTH_TOKEN" ]; then
+    SPARQL_AUTH_CREDENTIALS=$(jq -n --arg token "$SPARQL_AUTH_TOKEN" '{ token: $token }')
+    SPARQL_AUTH_MODE="bearer token"
+elif [ -n "$SPARQL_AUTH_USER" ]; then
+    SPARQL_AUTH_CREDENTIALS=$(jq -n --arg username "$SPARQL_AUTH_USER" --arg password "$SPARQL_AUTH_PASSWORD" \
+        '{ username: $username, password: $password }')
+    SPARQL_AUTH_MODE="basic auth as $SPARQL_AUTH_USER"
+fi
+if [ -n "$SPARQL_CREDENTIALS_FILE" ]; then
+    SPARQL_AUTH_MODE="$SPARQL_AUTH_MODE, per-endpoint credentials from $SPARQL_CREDENTIALS_FILE"
+fi
+
+# The browser queries through the nginx proxy whenever nginx holds credentials
+if [ -z "$SPARQL_PROXY" ]; then
+    if [ -n "$SPARQL_AUTH_CREDENTIALS" ] || [ -n "$SPARQL_CREDENTIALS_FILE" ]; then
+        SPARQL_PROXY=true
+    else
+        SPARQL_PROXY=false
+    fi
+fi
+
+# DNS server nginx resolves SPARQL endpoint hosts with (defaults to the
+# container's nameserver; IPv6 addresses need brackets)
+if [ -z "$RESOLVER" ]; then
+    RESOLVER=$(awk '/^nameserver/ { print $2; exit }' /etc/resolv.conf)
+    case "$RESOLVER" in
+        *:*) RESOLVER="[$RESOLVER]" ;;
+    esac
+    RESOLVER=${RESOLVER:-127.0.0.11}
+fi
+
+check_boolean NAMED_GRAPHS "$NAMED_GRAPHS"
+check_boolean REDIRECT_303 "$REDIRECT_303"
+check_boolean SERVER_RENDERING "$SERVER_RENDERING"
+check_boolean SPARQL_PROXY "$SPARQL_PROXY"
+check_number SPARQL_TIMEOUT "$SPARQL_TIMEOUT"
+check_number PATH_TIMEOUT "$PATH_TIMEOUT"
+check_number CACHE_MAX_SIZE "$CACHE_MAX_SIZE"
+check_integer MAP_ZOOM "$MAP_ZOOM"
+check_integer PATH_MAX_HOPS "$PATH_MAX_HOPS"
+printf '%s' "$MAP_CENTER" | grep -Eq '^ *-?[0-9]+(\.[0-9]+)? *, *-?[0-9]+(\.[0-9]+)? *$' ||
+    fail "MAP_CENTER must be latitude,longitude, not '$MAP_CENTER'"
+check_choice SEARCH_MODE "$SEARCH_MODE" contains regex text
+check_choice NEARBY_MODE "$NEARBY_MODE" auto geosparql bbox off
+check_json DATASETS "$DATASETS" \
+    'type == "array" and all(.[]; (.namespace | type) == "string" and (.endpoint | type) == "string")' \
+    'a JSON array of {"namespace": ..., "endpoint": ...} objects'
+check_json BASE_LAYERS "$BASE_LAYERS" \
+    'type == "array" and all(.[]; (.name | type) == "string" and (.url | type) == "string")' \
+    'a JSON array of {"name": ..., "url": ...} objects'
+check_json CACHE_TTL "$CACHE_TTL" \
+    'type == "object" and all(.[]; type == "number" and . >= 0)' \
+    'a JSON object of seconds per query form, e.g. {"describe": 300}'
+if [ -n "$SPARQL_CREDENTIALS_FILE" ]; then
+    [ -r "$SPARQL_CREDENTIALS_FILE" ] || fail "SPARQL_CREDENTIALS_FILE $SPARQL_CREDENTIALS_FILE cannot be read"
+    check_json SPARQL_CREDENTIALS_FILE "$(cat "$SPARQL_CREDENTIALS_FILE")" \
+        'type == "object" and all(.[]; (.token | type) == "string" or (.username | type) == "string")' \
+        'a JSON object of {"token": ...} or {"username": ..., "password": ...} per endpoint'
+fi
 
 echo "Configuring SPARQL endpoint: $SPARQL_ENDPOINT"
 echo "Configuring BASE URI: $BASE_URI"
+echo "Configuring datasets: $DATASETS"
+echo "Configuring DNS resolver: $RESOLVER"
+echo "Configuring label properties: $LABEL_PROPERTIES"
+echo "Configuring search mode: $SEARCH_MODE"
+echo "Configuring named graphs mode: $NAMED_GRAPHS"
+echo "Configuring 303 redirects for RDF requests: $REDIRECT_303"
+echo "Configuring server-side rendering: $SERVER_RENDERING"
+echo "Configuring SPARQL query timeout: ${SPARQL_TIMEOUT}s"
+echo "Configuring SPARQL authentication: $SPARQL_AUTH_MODE"
+echo "Configuring SPARQL proxy for the browser: $SPARQL_PROXY"
+echo "Configuring OIDC login: ${OIDC_ISSUER:-(off)}"
+echo "Configuring response cache: $CACHE_TTL, up to ${CACHE_MAX_SIZE} MB"
+echo "Configuring base layers: $BASE_LAYERS"
+echo "Configuring map default view: $MAP_CENTER, zoom $MAP_ZOOM"
+echo "Configuring nearby resources mode: $NEARBY_MODE"
+echo "Configuring CRS registry: $CRS_REGISTRY"
+echo "Configuring CRS lookup URL: ${CRS_LOOKUP_URL:-(none, offline)}"
+echo "Configuring connection search: up to $PATH_MAX_HOPS hops, ${PATH_TIMEOUT}s timeout"
 
 # Inject configuration into JavaScript config
 cat > /usr/share/nginx/html/assets/js/config.js <<EOF
@@ -14,12 +172,54 @@ cat > /usr/share/nginx/html/assets/js/config.js <<EOF
 const CONFIG = {
     SPARQL_ENDPOINT: '$SPARQL_ENDPOINT',
     ENTITY_NS: '$BASE_URI',
+    DATASETS: $DATASETS,
+    SPARQL_TIMEOUT: $SPARQL_TIMEOUT,
+    SPARQL_PROXY: $SPARQL_PROXY,
+    OIDC_ISSUER: '$OIDC_ISSUER',
+    OIDC_CLIENT_ID: '$OIDC_CLIENT_ID',
+    OIDC_SCOPE: '$OIDC_SCOPE',
+    CACHE_TTL: $CACHE_TTL,
+    CACHE_MAX_SIZE: $CACHE_MAX_SIZE,
+    LABEL_PROPERTIES: '$LABEL_PROPERTIES'.split(',').map(p => p.trim()),
+    SEARCH_MODE: '$SEARCH_MODE',
+    NAMED_GRAPHS: $NAMED_GRAPHS,
+    BASE_LAYERS: $BASE_LAYERS,
+    MAP_CENTER: [$MAP_CENTER],
+    MAP_ZOOM: $MAP_ZOOM,
+    NEARBY_MODE: '$NEARBY_MODE',
+    CRS_REGISTRY: '$CRS_REGISTRY',
+    CRS_LOOKUP_URL: '$CRS_LOOKUP_URL',
+    PATH_MAX_HOPS: $PATH_MAX_HOPS,
+    PATH_TIMEOUT: $PATH_TIMEOUT,
     BASE_URI: window.location.origin
 };
 EOF
 
-# Replace placeholders in nginx.conf
-sed -i "s|\${SPARQL_ENDPOINT}|$SPARQL_ENDPOINT|g" /etc/nginx/conf.d/default.conf
-sed -i "s|\${BASE_URI}|$BASE_URI|g" /etc/nginx/conf.d/default.conf
+# Datasets for the content negotiation script
+printf '%s\n' "$DATASETS" > /etc/nginx/conf.d/datasets.json
+
+# Per-endpoint credentials, readable by nginx only. SPARQL_AUTH_* count for
+# SPARQL_ENDPOINT unless SPARQL_CREDENTIALS_FILE has an entry for it.
+CREDENTIALS='{}'
+if [ -n "$SPARQL_CREDENTIALS_FILE" ]; then
+    CREDENTIALS=$(cat "$SPARQL_CREDENTIALS_FILE")
+fi
+printf '%s' "$CREDENTIALS" |
+    jq --arg endpoint "$SPARQL_ENDPOINT" --argjson default "${SPARQL_AUTH_CREDENTIALS:-null}" \
+        'if $default then { ($endpoint): $default } + . else . end' > /etc/nginx/conf.d/credentials.json
+chmod 600 /etc/nginx/conf.d/credentials.json
+
+# Replace placeholders in nginx.conf; "&", "|" and "\" in the values are
+# taken literally
+replace_placeholder() {
+    value=$(printf '%s' "$2" | sed 's/[&|\\]/\\&/g')
+    sed -i "s|\${$1}|$value|g" /etc/nginx/conf.d/default.conf
+}
+replace_placeholder SPARQL_ENDPOINT "$SPARQL_ENDPOINT"
+replace_placeholder BASE_URI "$BASE_URI"
+replace_placeholder REDIRECT_303 "$REDIRECT_303"
+replace_placeholder RESOLVER "$RESOLVER"
+replace_placeholder SERVER_RENDERING "$SERVER_RENDERING"
+replace_placeholder LABEL_PROPERTIES "$LABEL_PROPERTIES"
 
 echo "Configuration complete"
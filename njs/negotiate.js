@@ -0,0 +1,418 @@
+/**
+ * Content negotiation for entity IRIs (nginx njs module)
+ * Picks the response format from a `?format=` parameter, a format suffix
+ * on the path (.ttl, .nt, .rdf, .jsonld, .nq, .trig) or the Accept header
+ * with q-values, answers 404 for IRIs without triples, and optionally
+ * redirects (303) from the thing IRI to its RDF document. IRIs are routed
+ * to the SPARQL endpoint of the configured dataset whose namespace they
+ * are in, with the endpoint's credentials added on the way.
+ */
+
+import fs from 'fs';
+import qs from 'querystring';
+
+// Further datasets ([{ namespace, endpoint }]), written by the entrypoint
+const DATASETS_FILE = '/etc/nginx/conf.d/datasets.json';
+
+// Credentials per endpoint ({ endpoint: { token } or { username, password } }),
+// written by the entrypoint from SPARQL_CREDENTIALS_FILE and SPARQL_AUTH_*
+const CREDENTIALS_FILE = '/etc/nginx/conf.d/credentials.json';
+
+// Formats in order of preference when the client accepts several equally
+const FORMATS = [
+    { key: 'html',     mimes: ['text/html'],                           suffix: null },
+    { key: 'turtle',   mimes: ['text/turtle', 'application/x-turtle'], suffix: 'ttl' },
+    { key: 'jsonld',   mimes: ['application/ld+json'],                 suffix: 'jsonld' },
+    { key: 'rdfxml',   mimes: ['application/rdf+xml'],                 suffix: 'rdf' },
+    { key: 'ntriples', mimes: ['application/n-triples'],               suffix: 'nt' },
+    { key: 'nquads',   mimes: ['application/n-quads'],                 suffix: 'nq' },
+    { key: 'trig',     mimes: ['application/trig'],                    suffix: 'trig' }
+];
+
+const SUFFIX_PATTERN = /\.(ttl|jsonld|rdf|nt|nq|trig)$/;
+
+// RFC 3987 IRI syntax (see assets/js/sparql.js); any character beyond
+// ASCII and the C1 controls is accepted as a ucschar
+const IRI_PCHAR = "(?:[A-Za-z0-9\\-._~!$&'()*+,;=:@]|[^\\x00-\\x9F]|%[0-9A-Fa-f]{2})";
+const IRI_HOST = "(?:\\[[0-9A-Za-z:.\\-_~!$&'()*+,;=]+\\]|(?:[A-Za-z0-9\\-._~!$&'()*+,;=]|[^\\x00-\\x9F]|%[0-9A-Fa-f]{2})*)";
+const IRI_PATTERN = new RegExp(
+    '^[A-Za-z][A-Za-z0-9+\\-.]*:' +
+    `(?://(?:(?:${IRI_PCHAR})*@)?${IRI_HOST}(?::[0-9]*)?(?:/${IRI_PCHAR}*)*|/(?:${IRI_PCHAR}+(?:/${IRI_PCHAR}*)*)?|${IRI_PCHAR}+(?:/${IRI_PCHAR}*)*)?` +
+    `(?:\\?(?:${IRI_PCHAR}|[/?])*)?` +
+    `(?:#(?:${IRI_PCHAR}|[/?])*)?$`
+);
+
+function byKey(key) {
+    return FORMATS.find(format => format.key === key);
+}
+
+/**
+ * Parse an Accept header into [{ type, subtype, q }]
+ */
+function parseAccept(header) {
+    return header.split(',').map(range => {
+        const parts = range.split(';').map(part => part.trim());
+        const mediaType = parts[0].toLowerCase().split('/');
+        let q = 1;
+        parts.slice(1).forEach(param => {
+            const pair = param.split('=').map(part => part.trim());
+            if (pair[0].toLowerCase() === 'q') {
+                const parsed = parseFloat(pair[1]);
+                q = isNaN(parsed) ? 0 : Math.min(Math.max(parsed, 0), 1);
+            }
+        });
+        return { type: mediaType[0], subtype: mediaType[1], q: q };
+    }).filter(range => range.type && range.subtype);
+}
+
+/**
+ * Quality of a media type: the q of the most specific matching range
+ * (type/subtype, then type/*, then *\/*), 0 when nothing matches
+ */
+function quality(ranges, mime) {
+    const type = mime.split('/')[0];
+    const subtype = mime.split('/')[1];
+    let best = null;
+    ranges.forEach(range => {
+        let specificity = -1;
+        if (range.type === type && range.subtype === subtype) specificity = 2;
+        else if (range.type === type && range.subtype === '*') specificity = 1;
+        else if (range.type === '*' && range.subtype === '*') specificity = 0;
+        if (specificity >= 0 && (!best || specificity > best.specificity)) {
+            best = { specificity: specificity, q: range.q };
+        }
+    });
+    return best ? best.q : 0;
+}
+
+/**
+ * Best format for an Accept header; null when nothing offered is acceptable
+ */
+function negotiate(header) {
+    if (!header || !header.trim()) return byKey('html');
+
+    const ranges = parseAccept(header);
+    let best = null;
+    let bestQ = 0;
+    FORMATS.forEach(format => {
+        const q = Math.max.apply(null, format.mimes.map(mime => quality(ranges, mime)));
+        if (q > bestQ) {
+            best = format;
+            bestQ = q;
+        }
+    });
+    return best;
+}
+
+/**
+ * Format from `?format=` (key, suffix or media type), then the path
+ * suffix, then the Accept header. Returns 'html', an RDF format key,
+ * 'unknown' (unsupported ?format=) or 'none' (nothing acceptable).
+ */
+function format(r) {
+    const requested = r.args.format;
+    if (requested) {
+        const value = String(requested).toLowerCase();
+        const match = FORMATS.find(f => f.key === value || f.suffix === value || f.mimes.includes(value));
+        return match ? match.key : 'unknown';
+    }
+
+    const suffix = SUFFIX_PATTERN.exec(r.uri);
+    if (suffix) {
+        return FORMATS.find(f => f.suffix === suffix[1]).key;
+    }
+
+    const best = negotiate(r.headersIn.Accept);
+    return best ? best.key : 'none';
+}
+
+/**
+ * Path as requested, still percent-encoded like the path the browser reads
+ */
+function requestPath(r) {
+    return r.variables.request_uri.split('?')[0];
+}
+
+function hasFormatArgument(r) {
+    return /(^|&)format=/.test(r.variables.request_uri.split('?')[1] || '');
+}
+
+/**
+ * Whether the request named its format (a suffix that is not part of the
+ * entity IRI, or ?format=), i.e. asked for a document rather than the
+ * thing itself
+ */
+function isDocumentRequest(r) {
+    return r.variables.entity_path !== requestPath(r) || hasFormatArgument(r);
+}
+
+/**
+ * Path of the entity, without a format suffix
+ */
+function entityPath(r) {
+    return requestPath(r).replace(SUFFIX_PATTERN, '');
+}
+
+/**
+ * IRI of the entity: a full IRI in the path (/https://other.org/id/1) is
+ * decoded and used as it is, any other path is resolved against BASE_URI
+ */
+function entityIri(r) {
+    return pathIri(r, entityPath(r));
+}
+
+function pathIri(r, path) {
+    const embedded = /^\/(https?:\/\/.+)$/.exec(path);
+    if (!embedded) return r.variables.base_uri + path;
+    try {
+        return decodeURIComponent(embedded[1]);
+    } catch (error) {
+        return embedded[1];
+    }
+}
+
+function isValidIRI(iri) {
+    return IRI_PATTERN.test(iri);
+}
+
+/**
+ * Write an IRI as a SPARQL IRIREF; throws when it is not a valid IRI
+ */
+function iriRef(iri) {
+    if (!isValidIRI(iri)) throw new Error(`Not a valid IRI: ${iri}`);
+    return `<${iri}>`;
+}
+
+/**
+ * Queries for the entity; empty for malformed IRIs, which resource()
+ * rejects before any query is sent
+ */
+function askQuery(r) {
+    const iri = r.variables.entity_uri;
+    return isValidIRI(iri) ? `ASK { { ${iriRef(iri)} ?p ?o } UNION { GRAPH ?g { ${iriRef(iri)} ?p ?o } } }` : '';
+}
+
+function describeQuery(r) {
+    const iri = r.variables.entity_uri;
+    return isValidIRI(iri) ? `DESCRIBE ${iriRef(iri)}` : '';
+}
+
+function datasets(r) {
+    try {
+        return JSON.parse(fs.readFileSync(DATASETS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') r.error(`Unreadable ${DATASETS_FILE}: ${error}`);
+        return [];
+    }
+}
+
+/**
+ * SPARQL endpoint of the dataset with the longest namespace the entity IRI
+ * is in, the default endpoint otherwise
+ */
+function endpoint(r) {
+    const iri = r.variables.entity_uri;
+    let best = null;
+    datasets(r).forEach(dataset => {
+        if (iri.startsWith(dataset.namespace) && (!best || dataset.namespace.length > best.namespace.length)) {
+            best = dataset;
+        }
+    });
+    return best ? best.endpoint : r.variables.default_endpoint;
+}
+
+/**
+ * Endpoint behind a browser proxy path: /sparql-proxy/0 is the primary
+ * endpoint, /sparql-proxy/n the n-th entry of DATASETS (in configuration
+ * order). Empty for unknown paths.
+ */
+function proxiedEndpoint(r) {
+    const index = parseInt(r.uri.split('/').pop(), 10);
+    if (index === 0) return r.variables.default_endpoint;
+    const dataset = datasets(r)[index - 1];
+    return dataset ? dataset.endpoint : '';
+}
+
+function credentials(r) {
+    try {
+        return JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') r.error(`Unreadable ${CREDENTIALS_FILE}: ${error}`);
+        return {};
+    }
+}
+
+/**
+ * Whether a request comes from the dereferencer's own pages: an Origin
+ * header naming this host, or, for same-origin GETs (which browsers send
+ * without Origin), Sec-Fetch-Site: same-origin. Requests with neither, such
+ * as from curl, do not count.
+ */
+function isOwnOrigin(r) {
+    const origin = r.headersIn.Origin;
+    if (origin) return origin.replace(/^[a-z][a-z0-9+.\-]*:\/\//i, '') === r.headersIn.Host;
+    return r.headersIn['Sec-Fetch-Site'] === 'same-origin';
+}
+
+/**
+ * Authorization header for the request's SPARQL endpoint: its configured
+ * credentials, else none. The client's own Authorization header is never
+ * passed on, and browser queries from other sites get no credentials.
+ */
+function authorization(r) {
+    if (r.uri.startsWith('/sparql-proxy/') && !isOwnOrigin(r)) return '';
+    const endpoint = r.variables.sparql_endpoint;
+    const entry = credentials(r)[endpoint];
+    if (entry && entry.token) return `Bearer ${entry.token}`;
+    if (entry && entry.username) {
+        return `Basic ${Buffer.from(`${entry.username}:${entry.password || ''}`).toString('base64')}`;
+    }
+    return '';
+}
+
+/**
+ * Whether request parameters hold exactly one SPARQL query and no update
+ */
+function isQuery(params) {
+    return typeof params.query === 'string' && !('update' in params);
+}
+
+/**
+ * Pass a browser query on to its endpoint (@sparql_proxy): 404 for unknown
+ * endpoints, and only SPARQL queries, as a GET or a form-encoded POST, so
+ * the proxy can never be used for SPARQL Update or to send other requests
+ * with the endpoint's credentials
+ */
+function proxy(r) {
+    if (r.method === 'OPTIONS') {
+        r.return(204);
+        return;
+    }
+    if (!proxiedEndpoint(r)) {
+        r.return(404, 'Unknown SPARQL endpoint\n');
+        return;
+    }
+    if (r.method !== 'GET' && r.method !== 'POST') {
+        r.headersOut.Allow = 'GET, POST, OPTIONS';
+        r.return(405, 'Only SPARQL queries are accepted\n');
+        return;
+    }
+
+    let valid;
+    if (r.method === 'GET') {
+        valid = isQuery(r.args);
+    } else if (!/^application\/x-www-form-urlencoded\b/i.test(r.headersIn['Content-Type'] || '')) {
+        r.return(415, 'Send queries as application/x-www-form-urlencoded\n');
+        return;
+    } else {
+        valid = isQuery(qs.parse(r.requestText || '')) && !('query' in r.args) && !('update' in r.args);
+    }
+    if (!valid) {
+        r.return(400, 'Only SPARQL queries (one query parameter) are accepted\n');
+        return;
+    }
+
+    r.internalRedirect('@sparql_proxy');
+}
+
+/**
+ * Media type sent to the SPARQL endpoint for the negotiated format
+ */
+function mime(r) {
+    const match = byKey(r.variables.rdf_format);
+    return match ? match.mimes[0] : 'text/turtle';
+}
+
+/**
+ * Whether $entity_uri has triples; null when the endpoint failed, which has
+ * then been answered
+ */
+async function hasTriples(r) {
+    const ask = await r.subrequest('/internal/ask');
+    if (ask.status === 401 || ask.status === 403) {
+        r.return(ask.status, 'Not authorized by the SPARQL endpoint\n');
+        return null;
+    }
+    if (ask.status !== 200) {
+        r.error(`ASK for ${r.variables.entity_uri} failed with status ${ask.status}`);
+        r.return(502, 'SPARQL endpoint error\n');
+        return null;
+    }
+
+    try {
+        return JSON.parse(ask.responseText).boolean === true;
+    } catch (error) {
+        r.error(`Unreadable ASK response for ${r.variables.entity_uri}: ${error}`);
+        r.return(502, 'SPARQL endpoint error\n');
+        return null;
+    }
+}
+
+/**
+ * Serve an RDF representation: 400 for malformed IRIs, 400/406 for
+ * unusable formats, 404 when the IRI has no triples, an optional 303 from
+ * the thing IRI to the document (path + suffix), otherwise the DESCRIBE
+ * result from the endpoint. When the IRI without the format suffix has no
+ * triples, the suffix is taken as part of the IRI (/id/report.ttl) and the
+ * format is negotiated again without it.
+ */
+async function resource(r) {
+    let key = r.variables.rdf_format;
+    if (!isValidIRI(r.variables.entity_uri)) {
+        r.return(400, `Malformed IRI: ${r.variables.entity_uri}\n`);
+        return;
+    }
+    if (key === 'unknown') {
+        r.return(400, `Unknown format. Use one of: ${FORMATS.map(f => f.suffix || f.key).join(', ')}\n`);
+        return;
+    }
+    if (key === 'none') {
+        r.return(406, `Not acceptable. Available: ${FORMATS.map(f => f.mimes[0]).join(', ')}\n`);
+        return;
+    }
+
+    let exists = await hasTriples(r);
+    if (exists === null) return;
+
+    const path = requestPath(r);
+    const iri = pathIri(r, path);
+    if (!exists && path !== r.variables.entity_path && isValidIRI(iri)) {
+        const notFound = r.variables.entity_uri;
+        r.variables.entity_path = path;
+        r.variables.entity_uri = iri;
+        r.variables.sparql_endpoint = endpoint(r);
+        exists = await hasTriples(r);
+        if (exists === null) return;
+        if (!exists) {
+            r.return(404, `No data found for ${notFound}\n`);
+            return;
+        }
+
+        if (!hasFormatArgument(r)) {
+            const best = negotiate(r.headersIn.Accept);
+            key = best ? best.key : 'none';
+            r.variables.rdf_format = key;
+        }
+        if (key === 'none') {
+            r.return(406, `Not acceptable. Available: ${FORMATS.map(f => f.mimes[0]).join(', ')}\n`);
+            return;
+        }
+        if (key === 'html') {
+            r.internalRedirect('/internal/page');
+            return;
+        }
+    }
+    if (!exists) {
+        r.return(404, `No data found for ${r.variables.entity_uri}\n`);
+        return;
+    }
+
+    if (r.variables.redirect_303 === 'true' && !isDocumentRequest(r)) {
+        r.return(303, `${r.variables.entity_path}.${byKey(key).suffix}`);
+        return;
+    }
+
+    r.internalRedirect('/internal/describe');
+}
+
+export default { FORMATS, datasets, isValidIRI, iriRef, format, entityPath, entityIri, endpoint, proxiedEndpoint, authorization, proxy, askQuery, describeQuery, mime, resource };
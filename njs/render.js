@@ -0,0 +1,434 @@
+/**
+ * Server-side rendering of entity pages (nginx njs module)
+ * Fills the resource header, properties table and See Also of index.html
+ * from the SPARQL endpoint, so crawlers, link previews and clients without
+ * JavaScript get the content. Adds OpenGraph tags, `rel="alternate"` links
+ * for every RDF format and the resource as embedded JSON-LD. The browser
+ * script then loads the full view on top of it.
+ */
+
+import fs from 'fs';
+import negotiate from 'negotiate.js';
+
+const HTML_ROOT = '/usr/share/nginx/html';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+const RDF_LANG_STRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString';
+
+// Properties read as the page description, in order of preference
+const DESCRIPTION_PROPERTIES = [
+    'http://www.w3.org/2000/01/rdf-schema#comment',
+    'http://www.w3.org/2004/02/skos/core#definition',
+    'http://purl.org/dc/terms/description',
+    'http://schema.org/description'
+];
+
+// Types too generic to relate resources by (see GENERIC_TYPES in dereferencer.js)
+const GENERIC_TYPES = [
+    'http://www.w3.org/2002/07/owl#NamedIndividual',
+    'http://www.w3.org/2002/07/owl#Thing',
+    'http://www.w3.org/2000/01/rdf-schema#Resource'
+];
+
+// Maximum number of values rendered in the properties table
+const PROPERTY_LIMIT = 500;
+
+// Number of related resources rendered in See Also
+const SEE_ALSO_LIMIT = 10;
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function readJSON(path, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Run a SELECT query on the entity's endpoint and return its bindings
+ */
+async function select(r, query) {
+    const reply = await r.subrequest('/internal/sparql', { method: 'POST', body: query });
+    if (reply.status !== 200) {
+        throw new Error(`SPARQL query failed with status ${reply.status}`);
+    }
+    return JSON.parse(reply.responseText).results.bindings;
+}
+
+/**
+ * Languages of the Accept-Language header, most preferred first
+ */
+function preferredLanguages(r) {
+    const header = r.headersIn['Accept-Language'];
+    if (!header) return ['en'];
+    return header.split(',')
+        .map(range => {
+            const parts = range.split(';');
+            const q = /q=([\d.]+)/.exec(parts[1] || '');
+            return { tag: parts[0].trim().toLowerCase(), q: q ? parseFloat(q[1]) : 1 };
+        })
+        .filter(range => range.tag && range.tag !== '*' && range.q > 0)
+        .sort((a, b) => b.q - a.q)
+        .map(range => range.tag);
+}
+
+/**
+ * Rank a language tag like languageRank() in dereferencer.js: preferred
+ * languages first, then untagged values, then any other language
+ */
+function languageRank(languages, lang) {
+    if (!lang) return languages.length;
+    const tag = lang.toLowerCase();
+    const exact = languages.indexOf(tag);
+    if (exact !== -1) return exact;
+    const primary = languages.findIndex(l => l.split('-')[0] === tag.split('-')[0]);
+    return primary !== -1 ? primary + 0.5 : languages.length + 1;
+}
+
+/**
+ * Best literal among { property, literal } candidates: preferred language
+ * first, then the order of the properties
+ */
+function pick(candidates, properties, languages) {
+    if (candidates.length === 0) return null;
+    return candidates.slice().sort((a, b) =>
+        languageRank(languages, a.literal['xml:lang']) - languageRank(languages, b.literal['xml:lang']) ||
+        properties.indexOf(a.property) - properties.indexOf(b.property)
+    )[0].literal.value;
+}
+
+/**
+ * Page rendering context: configuration, prefixes and labels
+ */
+function context(r) {
+    const base = r.variables.base_uri;
+    return {
+        r: r,
+        base: base,
+        sameHost: base.replace(/^https?:\/\//, '').split('/')[0] === r.headersIn.Host,
+        namespaces: [base].concat(negotiate.datasets(r).map(dataset => dataset.namespace)),
+        prefixes: readJSON(`${HTML_ROOT}/assets/data/prefixes.json`, {}),
+        labelProperties: r.variables.label_properties.split(',').map(p => p.trim()),
+        languages: preferredLanguages(r),
+        labels: {}
+    };
+}
+
+/**
+ * Local link like makeLocalLink() in dereferencer.js: the path for IRIs
+ * under BASE_URI when served from its host, the full IRI in the path for
+ * other configured datasets, null for external IRIs
+ */
+function localLink(ctx, uri) {
+    if (!ctx.namespaces.some(namespace => uri.startsWith(namespace))) return null;
+    if (ctx.sameHost && uri.startsWith(ctx.base)) {
+        return uri.substring(ctx.base.length) || '/';
+    }
+    return '/' + uri;
+}
+
+function shorten(ctx, uri) {
+    let bestNs = '';
+    Object.keys(ctx.prefixes).forEach(namespace => {
+        if (uri.startsWith(namespace) && namespace.length > bestNs.length) bestNs = namespace;
+    });
+    return bestNs ? ctx.prefixes[bestNs] + ':' + uri.substring(bestNs.length) : uri;
+}
+
+function displayName(ctx, uri) {
+    return ctx.labels[uri] || shorten(ctx, uri);
+}
+
+function formatURI(ctx, uri, className) {
+    const link = localLink(ctx, uri);
+    const target = link ? '' : ' target="_blank" rel="noopener noreferrer"';
+    // Only web and mail schemes are linked (see externalHref() in dereferencer.js)
+    const href = link || (/^(https?|ftp|mailto):/i.test(uri) ? uri : '#');
+    return `<a href="${escapeHTML(href)}" class="${className}" title="${escapeHTML(uri)}"${target}>${escapeHTML(displayName(ctx, uri))}</a>`;
+}
+
+function formatValue(ctx, predicate, term) {
+    let html;
+    if (term.type === 'uri') {
+        html = formatURI(ctx, term.value, 'value-uri');
+    } else if (term.type === 'bnode') {
+        html = `<span class="value-bnode">_:${escapeHTML(term.value)}</span>`;
+    } else {
+        html = escapeHTML(term.value);
+        if (term['xml:lang']) {
+            html += `<span class="value-lang">@${escapeHTML(term['xml:lang'])}</span>`;
+        } else if (term.datatype && term.datatype !== XSD_STRING && term.datatype !== RDF_LANG_STRING) {
+            html += `<span class="value-datatype" title="${escapeHTML(term.datatype)}">^^${escapeHTML(displayName(ctx, term.datatype))}</span>`;
+        }
+    }
+    return `<span class="linked-value" data-value="${escapeHTML(term.value)}" data-predicate="${escapeHTML(predicate)}">${html}</span>`;
+}
+
+/**
+ * Table rows: rdf:type and the label properties first, then by name
+ */
+function renderProperties(ctx, grouped) {
+    const pinned = [RDF_TYPE].concat(ctx.labelProperties);
+    const rank = predicate => pinned.indexOf(predicate) === -1 ? pinned.length : pinned.indexOf(predicate);
+    const byName = (a, b) => {
+        const nameA = displayName(ctx, a).toLowerCase();
+        const nameB = displayName(ctx, b).toLowerCase();
+        return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+    };
+    return Object.keys(grouped)
+        .sort((a, b) => rank(a) - rank(b) || byName(a, b))
+        .map(predicate => {
+            const values = grouped[predicate].map(term => formatValue(ctx, predicate, term)).join('<br>');
+            return `<tr><td>${formatURI(ctx, predicate, 'property-uri')}</td><td>${values}</td></tr>`;
+        })
+        .join('\n');
+}
+
+function renderSeeAlso(ctx, type, resources) {
+    const tab = `<li class="nav-item"><span class="nav-link active" title="${escapeHTML(type)}">${escapeHTML(displayName(ctx, type))}</span></li>`;
+    const items = resources.map(uri =>
+        `<li class="list-group-item">${formatURI(ctx, uri, 'resource-link')}<div class="resource-type mt-1">${escapeHTML(shorten(ctx, uri))}</div></li>`
+    ).join('\n');
+    return { tab: tab, items: items };
+}
+
+/**
+ * The resource as expanded JSON-LD
+ */
+function toJSONLD(iri, grouped) {
+    const node = { '@id': iri };
+    Object.keys(grouped).forEach(predicate => {
+        const values = grouped[predicate].map(term => {
+            if (term.type === 'uri') return { '@id': term.value };
+            if (term.type === 'bnode') return { '@id': '_:' + term.value };
+            const value = { '@value': term.value };
+            if (term['xml:lang']) value['@language'] = term['xml:lang'];
+            else if (term.datatype && term.datatype !== XSD_STRING) value['@type'] = term.datatype;
+            return value;
+        });
+        if (predicate === RDF_TYPE) {
+            node['@type'] = values.filter(value => value['@id']).map(value => value['@id']);
+        } else {
+            node[predicate] = values;
+        }
+    });
+    // "</script>" must not end the element early
+    return JSON.stringify(node, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * One `rel="alternate"` entry per RDF format: [href, media type]
+ */
+function alternates(path) {
+    return negotiate.FORMATS
+        .filter(format => format.suffix)
+        .map(format => [`${path}.${format.suffix}`, format.mimes[0]]);
+}
+
+/**
+ * Fetch the data of the page: values of the resource, labels of every IRI
+ * shown and the first resources sharing its type
+ */
+async function load(ctx, iri) {
+    const r = ctx.r;
+    const bindings = await select(r, `
+        SELECT DISTINCT ?p ?o WHERE {
+            { ${negotiate.iriRef(iri)} ?p ?o } UNION { GRAPH ?g { ${negotiate.iriRef(iri)} ?p ?o } }
+        }
+        LIMIT ${PROPERTY_LIMIT}
+    `);
+
+    const grouped = {};
+    bindings.forEach(b => {
+        if (!grouped[b.p.value]) grouped[b.p.value] = [];
+        grouped[b.p.value].push(b.o);
+    });
+
+    const types = (grouped[RDF_TYPE] || [])
+        .map(term => term.value)
+        .filter(type => GENERIC_TYPES.indexOf(type) === -1 && negotiate.isValidIRI(type));
+    const iris = [iri].concat(Object.keys(grouped));
+    bindings.forEach(b => {
+        if (b.o.type === 'uri') iris.push(b.o.value);
+        if (b.o.datatype) iris.push(b.o.datatype);
+    });
+
+    const values = uris => uris
+        .filter((uri, index) => uris.indexOf(uri) === index && negotiate.isValidIRI(uri))
+        .map(uri => `<${uri}>`)
+        .join(' ');
+    const labelValues = values(ctx.labelProperties);
+    const labelQuery = `
+        SELECT ?resource ?property ?label WHERE {
+            VALUES ?resource { ${values(iris)} }
+            VALUES ?property { ${labelValues} }
+            ?resource ?property ?label .
+            FILTER(isLiteral(?label))
+        }
+    `;
+    const seeAlsoQuery = types.length === 0 ? null : `
+        SELECT ?resource ?property ?label WHERE {
+            {
+                SELECT DISTINCT ?resource WHERE {
+                    ?resource a ${negotiate.iriRef(types[0])} .
+                    FILTER(?resource != ${negotiate.iriRef(iri)})
+                }
+                ORDER BY ?resource
+                LIMIT ${SEE_ALSO_LIMIT}
+            }
+            OPTIONAL {
+                VALUES ?property { ${labelValues} }
+                ?resource ?property ?label .
+                FILTER(isLiteral(?label))
+            }
+        }
+    `;
+
+    const results = await Promise.all([
+        select(r, labelQuery),
+        seeAlsoQuery ? select(r, seeAlsoQuery) : Promise.resolve([])
+    ]);
+
+    // Labels of the resource itself are already in its values
+    const candidates = {};
+    candidates[iri] = [];
+    ctx.labelProperties.forEach(property => {
+        (grouped[property] || []).forEach(term => {
+            if (term.type === 'literal') candidates[iri].push({ property: property, literal: term });
+        });
+    });
+    const seeAlso = [];
+    results[0].concat(results[1]).forEach(b => {
+        const uri = b.resource.value;
+        if (!candidates[uri]) candidates[uri] = [];
+        if (b.label) candidates[uri].push({ property: b.property.value, literal: b.label });
+    });
+    results[1].forEach(b => {
+        if (seeAlso.indexOf(b.resource.value) === -1) seeAlso.push(b.resource.value);
+    });
+    Object.keys(candidates).forEach(uri => {
+        const label = pick(candidates[uri], ctx.labelProperties, ctx.languages);
+        if (label) ctx.labels[uri] = label;
+    });
+
+    const descriptions = [];
+    DESCRIPTION_PROPERTIES.forEach(property => {
+        (grouped[property] || []).forEach(term => {
+            if (term.type === 'literal') descriptions.push({ property: property, literal: term });
+        });
+    });
+
+    return {
+        grouped: grouped,
+        type: types[0] || null,
+        seeAlso: seeAlso.sort(),
+        description: pick(descriptions, DESCRIPTION_PROPERTIES, ctx.languages)
+    };
+}
+
+/**
+ * Replace one part of the template; the template must contain it
+ */
+function fill(html, search, replacement) {
+    if (html.indexOf(search) === -1) throw new Error(`index.html has no ${search}`);
+    return html.replace(search, () => replacement);
+}
+
+function render(ctx, iri, path, data) {
+    let html = fs.readFileSync(`${HTML_ROOT}/index.html`, 'utf8');
+    const label = ctx.labels[iri];
+    const title = label || iri;
+    const typeName = data.type ? displayName(ctx, data.type) : null;
+    const description = data.description || (typeName ? `${typeName}: ${iri}` : iri);
+
+    const head = [
+        `<meta property="og:title" content="${escapeHTML(title)}">`,
+        `<meta property="og:description" content="${escapeHTML(description)}">`,
+        `<meta property="og:url" content="${escapeHTML(iri)}">`,
+        '<meta property="og:type" content="website">'
+    ]
+        .concat(alternates(path).map(alternate =>
+            `<link rel="alternate" type="${alternate[1]}" href="${escapeHTML(alternate[0])}">`))
+        .concat([`<script type="application/ld+json" id="resource-jsonld">\n${toJSONLD(iri, data.grouped)}\n    </script>`])
+        .map(line => `    ${line}\n`)
+        .join('');
+
+    html = fill(html, '<title>URI Dereferencer</title>', `<title>Resource: ${escapeHTML(title)}</title>`);
+    html = html.replace(/<meta name="description" content="[^"]*">/, () =>
+        `<meta name="description" content="${escapeHTML(description)}">`);
+    html = fill(html, '</head>', `${head}</head>`);
+
+    html = fill(html, '<span id="uri-display">Loading...</span>',
+        `<span id="uri-display" title="${escapeHTML(iri)}">${escapeHTML(title)}</span>`);
+    if (label) {
+        html = fill(html, '<div id="uri-iri" class="resource-iri" style="display: none;"></div>',
+            `<div id="uri-iri" class="resource-iri">${escapeHTML(iri)}</div>`);
+    }
+    html = fill(html, '<div id="loading" class="text-center my-3">', '<div id="loading" class="text-center my-3" style="display: none;">');
+    html = fill(html, '<div id="properties" style="display: none;" class="mb-2">', '<div id="properties" class="mb-2">');
+    html = fill(html, '<tbody id="properties-tbody"></tbody>', `<tbody id="properties-tbody">\n${renderProperties(ctx, data.grouped)}\n</tbody>`);
+
+    if (data.seeAlso.length > 0) {
+        const seeAlso = renderSeeAlso(ctx, data.type, data.seeAlso);
+        html = fill(html, '<div id="see-also" style="display: none;" class="mb-2">', '<div id="see-also" class="mb-2">');
+        html = fill(html, '<ul class="nav nav-tabs flex-grow-1" id="see-also-tabs"></ul>',
+            `<ul class="nav nav-tabs flex-grow-1" id="see-also-tabs">${seeAlso.tab}</ul>`);
+        html = fill(html, '<ul class="list-group list-group-flush" id="see-also-list"></ul>',
+            `<ul class="list-group list-group-flush" id="see-also-list">\n${seeAlso.items}\n</ul>`);
+        html = fill(html, '<div id="see-also-loading" class="text-center">', '<div id="see-also-loading" class="text-center" style="display: none;">');
+    }
+
+    return html;
+}
+
+/**
+ * Serve an HTML page: the landing page and pages that cannot be rendered
+ * are index.html as it is, malformed IRIs get it with a 400 and IRIs
+ * without triples with a 404
+ */
+async function page(r) {
+    const iri = r.variables.entity_uri;
+    const path = r.variables.entity_path;
+    r.headersOut['Content-Type'] = 'text/html; charset=utf-8';
+
+    if (path === '/' || r.variables.server_rendering !== 'true') {
+        r.return(200, fs.readFileSync(`${HTML_ROOT}/index.html`, 'utf8'));
+        return;
+    }
+
+    if (!negotiate.isValidIRI(iri)) {
+        r.return(400, fs.readFileSync(`${HTML_ROOT}/index.html`, 'utf8'));
+        return;
+    }
+
+    const ctx = context(r);
+    let html;
+    try {
+        const data = await load(ctx, iri);
+        if (Object.keys(data.grouped).length === 0) {
+            r.return(404, fs.readFileSync(`${HTML_ROOT}/index.html`, 'utf8'));
+            return;
+        }
+        html = render(ctx, iri, path, data);
+    } catch (error) {
+        r.error(`Server-side rendering of ${iri} failed: ${error}`);
+        r.return(200, fs.readFileSync(`${HTML_ROOT}/index.html`, 'utf8'));
+        return;
+    }
+
+    r.headersOut['Link'] = alternates(path)
+        .map(alternate => `<${alternate[0]}>; rel="alternate"; type="${alternate[1]}"`)
+        .join(', ');
+    r.return(200, html);
+}
+
+export default { page };
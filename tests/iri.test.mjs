@@ -0,0 +1,145 @@
+/**
+ * IRI checks - Hostile and malformed IRIs never reach a SPARQL query
+ * Covers assets/js/sparql.js (browser) and njs/negotiate.js (nginx).
+ * Run with `node --test tests/` (Node.js 20 or later, no dependencies).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import negotiate from '../njs/negotiate.js';
+
+// sparql.js is a classic browser script: run it and pick up its globals
+const sparql = vm.runInNewContext(
+    fs.readFileSync(new URL('../assets/js/sparql.js', import.meta.url), 'utf8') +
+    '\n;({ iriProblem, isValidIRI, sparqlIRI, sparqlIRIs, sparqlString, InvalidIRIError })'
+);
+
+const VALID = [
+    'http://example.org/id/1',
+    'https://example.org/id/a%20b?x=1&y=2#frag',
+    'urn:uuid:6e8bc430-9c3a-11d9-9669-0800200c9a66',
+    'mailto:someone@example.org',
+    'http://[2001:db8::1]:8080/path',
+    'http://example.org/straße',
+    'http://例え.jp/パス',
+    'http://example.org/\u{1D538}',
+    'http://example.org/\u{10000}?q=\u{F0000}'
+];
+
+// Values that must never be accepted, by both checks
+const HOSTILE = {
+    'a ">"': 'http://example.org/a> } ; DROP ALL ; <x:y',
+    'a "<"': 'http://example.org/<a',
+    'a space': 'http://example.org/a b',
+    'a "{"': 'http://example.org/{x}',
+    'a "}"': 'http://example.org/x}',
+    'a newline': 'http://example.org/a\nb',
+    'a carriage return': 'http://example.org/a\rb',
+    'a tab': 'http://example.org/a\tb',
+    'a double quote': 'http://example.org/"a"',
+    'a backslash': 'http://example.org/a\\b',
+    'a "|"': 'http://example.org/a|b',
+    'a "^"': 'http://example.org/a^b',
+    'a backtick': 'http://example.org/a`b',
+    'a NUL': 'http://example.org/a\u0000b',
+    'a C1 control': 'http://example.org/a\u0085b',
+    'a lone "%"': 'http://example.org/100%',
+    'a "%" with one digit': 'http://example.org/%4',
+    'a "%" with non-hex digits': 'http://example.org/%zz',
+    'a relative path': '/id/1',
+    'a relative reference': 'id/1',
+    'a fragment only': '#frag',
+    'a network-path reference': '//example.org/id/1',
+    'a scheme starting with a digit': '1http://example.org/',
+    'an empty string': ''
+};
+
+test('valid IRIs are accepted', () => {
+    for (const iri of VALID) {
+        assert.equal(sparql.iriProblem(iri), null, iri);
+        assert.equal(sparql.isValidIRI(iri), true, iri);
+        assert.equal(negotiate.isValidIRI(iri), true, iri);
+    }
+});
+
+test('hostile and malformed IRIs are rejected', () => {
+    for (const [name, iri] of Object.entries(HOSTILE)) {
+        assert.notEqual(sparql.iriProblem(iri), null, name);
+        assert.equal(sparql.isValidIRI(iri), false, name);
+        assert.equal(negotiate.isValidIRI(iri), false, name);
+    }
+});
+
+test('iriProblem says what is wrong', () => {
+    assert.equal(sparql.iriProblem('http://example.org/a>b'), '">" at position 21');
+    assert.equal(sparql.iriProblem('http://example.org/a b'), 'U+0020 at position 21');
+    assert.equal(sparql.iriProblem('http://example.org/a\nb'), 'U+000A at position 21');
+    assert.equal(sparql.iriProblem('http://example.org/%zz'), 'malformed percent-encoding');
+    assert.equal(sparql.iriProblem('/id/1'), 'no scheme');
+    assert.equal(sparql.iriProblem(''), 'empty');
+    assert.equal(sparql.iriProblem(undefined), 'empty');
+    assert.equal(sparql.iriProblem(42), 'empty');
+});
+
+test('characters outside the BMP follow RFC 3987 in the browser', () => {
+    // Unpaired surrogates and noncharacters are not ucschars
+    assert.equal(sparql.isValidIRI('http://example.org/\uD835'), false);
+    assert.equal(sparql.isValidIRI('http://example.org/\uDD38x'), false);
+    assert.equal(sparql.isValidIRI('http://example.org/\u{1FFFE}'), false);
+    // Private use characters only in the query
+    assert.equal(sparql.isValidIRI('http://example.org/p?\u{100000}'), true);
+    assert.equal(sparql.isValidIRI('http://example.org/\u{100000}'), false);
+});
+
+test('sparqlIRI writes an IRIREF or throws InvalidIRIError', () => {
+    assert.equal(sparql.sparqlIRI('http://example.org/id/1'), '<http://example.org/id/1>');
+    for (const [name, iri] of Object.entries(HOSTILE)) {
+        assert.throws(() => sparql.sparqlIRI(iri), error => {
+            assert.ok(error instanceof sparql.InvalidIRIError, name);
+            assert.equal(error.iri, iri);
+            assert.equal(error.reason, sparql.iriProblem(iri));
+            return true;
+        }, name);
+    }
+});
+
+test('negotiate.iriRef writes an IRIREF or throws', () => {
+    assert.equal(negotiate.iriRef('http://example.org/id/1'), '<http://example.org/id/1>');
+    for (const [name, iri] of Object.entries(HOSTILE)) {
+        assert.throws(() => negotiate.iriRef(iri), /Not a valid IRI/, name);
+    }
+});
+
+test('sparqlIRIs leaves invalid IRIs out', () => {
+    assert.equal(
+        sparql.sparqlIRIs(['http://example.org/1', HOSTILE['a ">"'], 'http://example.org/2', HOSTILE['a space']]),
+        '<http://example.org/1> <http://example.org/2>'
+    );
+    assert.equal(sparql.sparqlIRIs(Object.values(HOSTILE)), '');
+    assert.equal(sparql.sparqlIRIs([]), '');
+});
+
+test('sparqlString escapes quotes, backslashes and line breaks', () => {
+    assert.equal(sparql.sparqlString('plain'), '"plain"');
+    assert.equal(sparql.sparqlString('say "hi"'), '"say \\"hi\\""');
+    assert.equal(sparql.sparqlString('a\\b'), '"a\\\\b"');
+    assert.equal(sparql.sparqlString('\\"'), '"\\\\\\""');
+    assert.equal(sparql.sparqlString('line\nbreak\r\ttab'), '"line\\nbreak\\r\\ttab"');
+    assert.equal(sparql.sparqlString("it's"), '"it\'s"');
+    assert.equal(sparql.sparqlString('" } ; DROP ALL ; #'), '"\\" } ; DROP ALL ; #"');
+    assert.equal(sparql.sparqlString(42), '"42"');
+    assert.equal(sparql.sparqlString('\u{1D538}'), '"\u{1D538}"');
+});
+
+test('a string literal can never be closed early', () => {
+    for (const text of ['"', '\\', '\\"', '"""', 'a"\nb', '\\\\"']) {
+        const literal = sparql.sparqlString(text).slice(1, -1);
+        // Every quote inside is preceded by an odd number of backslashes
+        for (const match of literal.matchAll(/(\\*)"/g)) {
+            assert.equal(match[1].length % 2, 1, JSON.stringify(text));
+        }
+        assert.doesNotMatch(literal, /[\n\r]/);
+    }
+});
@@ -0,0 +1,44 @@
+/**
+ * Literal formatting - Numbers are shown with the precision of their
+ * lexical form (assets/js/literals.js). Run with `node --test tests/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+// literals.js is a classic browser script that uses dereferencer.js's NS
+const context = vm.createContext({
+    NS: { RDF: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#', XSD: 'http://www.w3.org/2001/XMLSchema#' },
+    navigator: { languages: ['en-US'] }
+});
+const literals = vm.runInContext(
+    fs.readFileSync(new URL('../assets/js/literals.js', import.meta.url), 'utf8') +
+    '\n;({ formatNumber, EXACT_NUMBER_FORMAT })',
+    context
+);
+
+test('integers above Number.MAX_SAFE_INTEGER keep every digit', () => {
+    assert.ok(literals.EXACT_NUMBER_FORMAT, 'Node.js 20 formats decimal strings exactly');
+    assert.equal(literals.formatNumber('9007199254740993'), '9,007,199,254,740,993');
+    assert.equal(literals.formatNumber('18446744073709551615'), '18,446,744,073,709,551,615');
+    assert.equal(literals.formatNumber('-9223372036854775808'), '-9,223,372,036,854,775,808');
+    assert.equal(literals.formatNumber('+123456789012345678901234567890'), '123,456,789,012,345,678,901,234,567,890');
+});
+
+test('long decimals keep every digit', () => {
+    assert.equal(literals.formatNumber('1234567890.123456789'), '1,234,567,890.123456789');
+    assert.equal(literals.formatNumber('0.10000000000000000001'), '0.10000000000000000001');
+    // More fraction digits than Intl.NumberFormat shows: left as it is
+    assert.equal(literals.formatNumber('0.123456789012345678901'), '0.123456789012345678901');
+});
+
+test('ordinary numbers are localized', () => {
+    assert.equal(literals.formatNumber('1234'), '1,234');
+    assert.equal(literals.formatNumber('3.25'), '3.25');
+    assert.equal(literals.formatNumber('.5'), '0.5');
+    assert.equal(literals.formatNumber('1.5e3'), '1,500');
+    assert.equal(literals.formatNumber('INF'), 'INF');
+    assert.equal(literals.formatNumber('not a number'), 'not a number');
+});
@@ -0,0 +1,91 @@
+/**
+ * SPARQL proxy - Only read queries from the dereferencer's own pages get
+ * the endpoint credentials (njs/negotiate.js proxy() and authorization()).
+ * Run with `node --test tests/`.
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import negotiate from '../njs/negotiate.js';
+
+const ENDPOINT = 'https://data.example.org/sparql';
+
+// credentials.json as written by the entrypoint
+const readFileSync = fs.readFileSync;
+mock.method(fs, 'readFileSync', (path, ...rest) => {
+    if (path === '/etc/nginx/conf.d/credentials.json') {
+        return JSON.stringify({ [ENDPOINT]: { username: 'reader', password: 'p&ss|w\\rd' } });
+    }
+    if (path === '/etc/nginx/conf.d/datasets.json') return '[]';
+    return readFileSync(path, ...rest);
+});
+
+/**
+ * A request as njs sees it; `out` records what the handler answered
+ */
+function request({ method = 'GET', uri = '/sparql-proxy/0', args = {}, body, headers = {} } = {}) {
+    return {
+        method,
+        uri,
+        args,
+        requestText: body,
+        headersIn: headers,
+        headersOut: {},
+        variables: { default_endpoint: ENDPOINT, sparql_endpoint: ENDPOINT },
+        error() {},
+        return(status) { this.out = status; },
+        internalRedirect(location) { this.out = location; }
+    };
+}
+
+const BASIC = `Basic ${Buffer.from('reader:p&ss|w\\rd').toString('base64')}`;
+const FORM = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+test('the dereferencer\'s own pages get the credentials', () => {
+    const post = request({ method: 'POST', headers: { Host: 'data.example.org', Origin: 'https://data.example.org' } });
+    assert.equal(negotiate.authorization(post), BASIC);
+    const get = request({ headers: { Host: 'data.example.org', 'Sec-Fetch-Site': 'same-origin' } });
+    assert.equal(negotiate.authorization(get), BASIC);
+});
+
+test('requests without an Origin get no credentials', () => {
+    assert.equal(negotiate.authorization(request({ headers: { Host: 'data.example.org' } })), '');
+    assert.equal(negotiate.authorization(request({ headers: {} })), '');
+    const crossSite = request({ headers: { Host: 'data.example.org', 'Sec-Fetch-Site': 'cross-site' } });
+    assert.equal(negotiate.authorization(crossSite), '');
+});
+
+test('other sites get no credentials', () => {
+    for (const origin of ['https://evil.example', 'https://data.example.org.evil.example', 'null']) {
+        const r = request({ headers: { Host: 'data.example.org', Origin: origin, 'Sec-Fetch-Site': 'same-origin' } });
+        assert.equal(negotiate.authorization(r), '', origin);
+    }
+});
+
+test('the client\'s own Authorization header is never passed on', () => {
+    const r = request({ uri: '/internal/describe', headers: { Authorization: 'Bearer client' } });
+    r.variables.sparql_endpoint = 'https://other.example/sparql';
+    assert.equal(negotiate.authorization(r), '');
+});
+
+test('only read queries are proxied', () => {
+    const cases = [
+        [{ args: { query: 'SELECT * {}' } }, '@sparql_proxy'],
+        [{ method: 'POST', body: 'query=SELECT%20*%20%7B%7D', headers: FORM }, '@sparql_proxy'],
+        [{ args: { update: 'DROP ALL' } }, 400],
+        [{ args: { query: 'x', update: 'DROP ALL' } }, 400],
+        [{ args: { query: ['a', 'b'] } }, 400],
+        [{ method: 'POST', body: 'update=DROP%20ALL', headers: FORM }, 400],
+        [{ method: 'POST', body: 'query=x', args: { update: 'DROP ALL' }, headers: FORM }, 400],
+        [{ method: 'POST', body: 'DROP ALL', headers: { 'Content-Type': 'application/sparql-update' } }, 415],
+        [{ method: 'PUT' }, 405],
+        [{ method: 'OPTIONS' }, 204],
+        [{ uri: '/sparql-proxy/9', args: { query: 'x' } }, 404]
+    ];
+    for (const [options, expected] of cases) {
+        const r = request(options);
+        negotiate.proxy(r);
+        assert.equal(r.out, expected, JSON.stringify(options));
+    }
+});
@@ -0,0 +1,108 @@
+/**
+ * RDF requests - Format suffixes name a document of the IRI without them,
+ * unless only the IRI with the suffix has triples (njs/negotiate.js
+ * resource()). Run with `node --test tests/`.
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import negotiate from '../njs/negotiate.js';
+
+const BASE = 'https://data.example.org';
+const ENDPOINT = `${BASE}/sparql`;
+
+const readFileSync = fs.readFileSync;
+mock.method(fs, 'readFileSync', (path, ...rest) => {
+    if (path === '/etc/nginx/conf.d/datasets.json') return '[]';
+    return readFileSync(path, ...rest);
+});
+
+/**
+ * A request after `location /` has set its variables; `subjects` are the
+ * IRIs with triples, `out` records what the handler answered
+ */
+function request(requestUri, { accept, subjects = [], redirect = 'false' } = {}) {
+    const r = {
+        uri: '/internal/resource',
+        args: {},
+        headersIn: accept ? { Accept: accept } : {},
+        headersOut: {},
+        variables: {
+            request_uri: requestUri,
+            base_uri: BASE,
+            default_endpoint: ENDPOINT,
+            redirect_303: redirect
+        },
+        asked: [],
+        error() {},
+        async subrequest() {
+            this.asked.push(this.variables.entity_uri);
+            return { status: 200, responseText: JSON.stringify({ boolean: subjects.includes(this.variables.entity_uri) }) };
+        },
+        return(status, body) { this.out = [status, body]; },
+        internalRedirect(location) { this.out = location; }
+    };
+    // location / sets these from the js_set variables
+    r.variables.rdf_format = negotiate.format(Object.assign({}, r, { uri: requestUri.split('?')[0], args: query(requestUri) }));
+    r.variables.entity_path = negotiate.entityPath(r);
+    r.variables.entity_uri = negotiate.entityIri(r);
+    r.variables.sparql_endpoint = negotiate.endpoint(r);
+    return r;
+}
+
+function query(requestUri) {
+    return Object.fromEntries(new URLSearchParams(requestUri.split('?')[1] || ''));
+}
+
+test('a suffix names a document of the IRI without it', async () => {
+    const r = request('/id/1.ttl', { subjects: [`${BASE}/id/1`, `${BASE}/id/1.ttl`] });
+    await negotiate.resource(r);
+    assert.equal(r.out, '/internal/describe');
+    assert.equal(r.variables.entity_uri, `${BASE}/id/1`);
+    assert.equal(r.variables.rdf_format, 'turtle');
+    assert.deepEqual(r.asked, [`${BASE}/id/1`]);
+});
+
+test('IRIs that end in a suffix are found', async () => {
+    const r = request('/id/report.ttl', { accept: 'application/n-triples', subjects: [`${BASE}/id/report.ttl`] });
+    await negotiate.resource(r);
+    assert.equal(r.out, '/internal/describe');
+    assert.equal(r.variables.entity_uri, `${BASE}/id/report.ttl`);
+    assert.equal(r.variables.entity_path, '/id/report.ttl');
+    assert.equal(r.variables.rdf_format, 'ntriples');
+
+    const page = request('/id/report.ttl', { accept: 'text/html', subjects: [`${BASE}/id/report.ttl`] });
+    await negotiate.resource(page);
+    assert.equal(page.out, '/internal/page');
+
+    const formatted = request('/id/report.ttl?format=jsonld', { accept: 'text/html', subjects: [`${BASE}/id/report.ttl`] });
+    await negotiate.resource(formatted);
+    assert.equal(formatted.out, '/internal/describe');
+    assert.equal(formatted.variables.rdf_format, 'jsonld');
+});
+
+test('an IRI that ends in a suffix redirects to its own document', async () => {
+    const r = request('/id/report.ttl', { accept: 'text/turtle', subjects: [`${BASE}/id/report.ttl`], redirect: 'true' });
+    await negotiate.resource(r);
+    assert.equal(r.out[0], 303);
+    assert.equal(r.out[1], '/id/report.ttl.ttl');
+
+    const document = request('/id/report.ttl.ttl', { subjects: [`${BASE}/id/report.ttl`], redirect: 'true' });
+    await negotiate.resource(document);
+    assert.equal(document.out, '/internal/describe');
+    assert.equal(document.variables.entity_uri, `${BASE}/id/report.ttl`);
+});
+
+test('404 names the IRI without the suffix when neither has triples', async () => {
+    const r = request('/id/2.ttl');
+    await negotiate.resource(r);
+    assert.equal(r.out[0], 404);
+    assert.equal(r.out[1], `No data found for ${BASE}/id/2\n`);
+    assert.deepEqual(r.asked, [`${BASE}/id/2`, `${BASE}/id/2.ttl`]);
+
+    const plain = request('/id/2', { accept: 'text/turtle' });
+    await negotiate.resource(plain);
+    assert.equal(plain.out[0], 404);
+    assert.deepEqual(plain.asked, [`${BASE}/id/2`]);
+});